@@ -1,9 +1,111 @@
-const { app, BrowserWindow, Menu } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog } = require('electron');
+const fs = require('fs');
 const path = require('path');
 
+// Study data is saved to this file in the app's userData directory
+const DATA_FILE_NAME = 'studyset-data.json';
+
 // Keep a global reference of the window object
 let mainWindow;
 
+// Saves are chained so an older write can never finish last
+let writeQueue = Promise.resolve();
+
+// How long a closing window waits for the renderer's last save
+const CLOSE_SAVE_TIMEOUT_MS = 5000;
+
+function getDataFilePath() {
+  return path.join(app.getPath('userData'), DATA_FILE_NAME);
+}
+
+// Write a temporary file and rename it over the real one, so the data file
+// is always the old or the new version and never half-written
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// Handlers behind the preload API's saveData, loadData and getAppVersion
+function registerDataHandlers() {
+  ipcMain.handle('save-data', (event, data) => {
+    const write = writeQueue.then(() => writeFileAtomic(getDataFilePath(), JSON.stringify(data)));
+    // A failed write is reported to its caller but doesn't block later ones
+    writeQueue = write.catch(() => {});
+    return write.then(() => true);
+  });
+
+  ipcMain.handle('load-data', async () => {
+    const filePath = getDataFilePath();
+    let contents;
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (e) {
+      // No file yet on first run
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+
+    try {
+      return JSON.parse(contents);
+    } catch (e) {
+      // Keep the unreadable file aside before the renderer replaces it
+      const copyPath = filePath.replace(/\.json$/, `.unreadable-${Date.now()}.json`);
+      await fs.promises.copyFile(filePath, copyPath);
+      throw new Error(`The data file could not be read (a copy was kept at ${copyPath})`);
+    }
+  });
+
+  ipcMain.handle('get-app-version', () => app.getVersion());
+}
+
+// Handler behind the preload API's printToPDF. The renderer sends a complete
+// HTML document; it is laid out in a hidden window and saved where the user picks.
+function registerPrintHandlers() {
+  ipcMain.handle('print-to-pdf', async (event, { html, fileName }) => {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: fileName,
+      filters: [{ name: 'PDF', extensions: ['pdf'] }]
+    });
+    if (canceled || !filePath) return null;
+
+    // Loaded from a file rather than a data: URL so the document can link the
+    // app's stylesheets and isn't limited in size
+    const htmlPath = path.join(app.getPath('temp'), `studyset-print-${Date.now()}.html`);
+    await fs.promises.writeFile(htmlPath, html, 'utf8');
+
+    const printWindow = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        javascript: false,
+        sandbox: true
+      }
+    });
+
+    try {
+      await printWindow.loadFile(htmlPath);
+      const pdf = await printWindow.webContents.printToPDF({
+        printBackground: true,
+        preferCSSPageSize: true
+      });
+      await fs.promises.writeFile(filePath, pdf);
+      return filePath;
+    } finally {
+      printWindow.destroy();
+      fs.promises.unlink(htmlPath).catch(() => {});
+    }
+  });
+}
+
 function createWindow() {
   // Create the browser window
   mainWindow = new BrowserWindow({
@@ -39,16 +141,39 @@ function createWindow() {
     mainWindow = null;
   });
 
-  // Notify renderer to save state before closing
+  // Hold the window open until the renderer has saved and its writes have finished
+  let closeState = null;
   mainWindow.on('close', (e) => {
-    if (mainWindow) {
-      mainWindow.webContents.executeJavaScript('window.dispatchEvent(new Event("beforeunload"));');
-    }
+    if (closeState === 'saved') return;
+    e.preventDefault();
+    if (closeState === 'saving') return;
+    closeState = 'saving';
+
+    const finishClose = () => {
+      clearTimeout(timeout);
+      ipcMain.removeListener('data-flushed', onFlushed);
+      writeQueue.then(() => {
+        closeState = 'saved';
+        mainWindow?.close();
+      });
+    };
+    const onFlushed = (event) => {
+      if (event.sender === mainWindow?.webContents) finishClose();
+    };
+    // A renderer that can't answer mustn't keep the window open
+    const timeout = setTimeout(finishClose, CLOSE_SAVE_TIMEOUT_MS);
+    ipcMain.on('data-flushed', onFlushed);
+
+    mainWindow.webContents.executeJavaScript('window.dispatchEvent(new Event("beforeunload"));')
+      .catch(() => {})
+      .then(() => mainWindow?.webContents.send('flush-data'));
   });
 }
 
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
+  registerDataHandlers();
+  registerPrintHandlers();
   createWindow();
 
   // Create application menu
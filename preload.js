@@ -7,9 +7,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   newStudySet: () => ipcRenderer.send('new-study-set'),
   onNewStudySet: (callback) => ipcRenderer.on('new-study-set', callback),
   
-  // Data persistence (we'll implement this later)
+  // Data persistence (a JSON file in the userData directory, see main.js)
   saveData: (data) => ipcRenderer.invoke('save-data', data),
   loadData: () => ipcRenderer.invoke('load-data'),
+  // Closing the window asks for pending saves to be written, and waits for dataFlushed
+  onFlushData: (callback) => ipcRenderer.on('flush-data', callback),
+  dataFlushed: () => ipcRenderer.send('data-flushed'),
+  
+  // Printing: saves an HTML document as a PDF, resolving to its path or null if cancelled
+  printToPDF: (html, fileName) => ipcRenderer.invoke('print-to-pdf', { html, fileName }),
   
   // App info
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
@@ -0,0 +1,593 @@
+/**
+ * anki.js - Anki Package Import/Export
+ * Reads .apkg packages (a zipped SQLite collection plus numbered media files)
+ * into new sets, and writes a set back out as a package Anki can import
+ */
+
+import { unzipSync, zipSync, strToU8, strFromU8 } from '../node_modules/fflate/esm/browser.js';
+import { createSet, createCard, createClozeCards, isClozeCard } from './state.js';
+import { getMasteryLevel } from './spacedRep.js';
+import { MATH_PATTERN } from './math.js';
+import { escapeHtml } from './render.js';
+
+// sql.js is a classic script, so it's added to the page the first time a package is opened.
+// The asm.js build needs no separate .wasm file.
+const SQL_SCRIPT = 'node_modules/sql.js/dist/sql-asm.js';
+
+const FIELD_SEPARATOR = '\x1f';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Note type kinds (models.type)
+const MODEL_TYPES = {
+    STANDARD: 0,
+    CLOZE: 1
+};
+
+// Scheduling state of an Anki card (cards.type)
+const ANKI_CARD_TYPES = {
+    NEW: 0,
+    LEARNING: 1,
+    REVIEW: 2,
+    RELEARNING: 3
+};
+
+// Learning queue whose due value is a timestamp in seconds rather than a day number
+const INTRADAY_LEARN_QUEUE = 1;
+
+const MEDIA_TYPES = {
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp',
+    svg: 'image/svg+xml', mp3: 'audio/mpeg', ogg: 'audio/ogg', oga: 'audio/ogg', wav: 'audio/wav',
+    m4a: 'audio/mp4', webm: 'audio/webm', flac: 'audio/flac'
+};
+
+const NEWER_FORMAT_MESSAGE = 'This package uses the newest Anki format. In Anki, export it again with "Support older Anki versions" ticked.';
+
+let sqlPromise = null;
+
+function loadSQL() {
+    if (!sqlPromise) {
+        sqlPromise = new Promise((resolve, reject) => {
+            if (window.initSqlJs) {
+                resolve(window.initSqlJs());
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = SQL_SCRIPT;
+            script.onload = () => resolve(window.initSqlJs());
+            script.onerror = () => reject(new Error('SQLite could not be loaded.'));
+            document.head.appendChild(script);
+        }).catch(e => {
+            sqlPromise = null;
+            throw e;
+        });
+    }
+    return sqlPromise;
+}
+
+// Rows of a query as objects keyed by column name
+function query(db, sql) {
+    const [result] = db.exec(sql);
+    if (!result) return [];
+    return result.values.map(row => Object.fromEntries(result.columns.map((column, i) => [column, row[i]])));
+}
+
+// ============================================================
+// IMPORT
+// ============================================================
+
+/**
+ * Open an .apkg package
+ * @param {ArrayBuffer} bytes - Package file contents
+ * @returns {Promise<Object>} { createdAt, noteTypes, decks, notes, cards, reviews, media }
+ * @throws {Error} With a message for the user if the package can't be read
+ */
+export async function readAnkiPackage(bytes) {
+    let files;
+    try {
+        files = unzipSync(new Uint8Array(bytes));
+    } catch (e) {
+        throw new Error('This file is not an Anki package.');
+    }
+
+    // Newer packages also carry a stub collection.anki2 that only says to update Anki
+    if (files['collection.anki21b'] && !files['collection.anki21']) {
+        throw new Error(NEWER_FORMAT_MESSAGE);
+    }
+    const collection = files['collection.anki21'] || files['collection.anki2'];
+    if (!collection) throw new Error('This file is not an Anki package.');
+
+    const SQL = await loadSQL();
+    const db = new SQL.Database(collection);
+    let col, notes, cards, reviews;
+    try {
+        [col] = query(db, 'SELECT crt, models, decks FROM col');
+        notes = query(db, 'SELECT id, mid, flds FROM notes ORDER BY id');
+        cards = query(db, 'SELECT id, nid, did, odid, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord');
+        // Ease 0 marks a manual reschedule rather than an answer
+        reviews = query(db, 'SELECT id, cid, ease FROM revlog WHERE ease > 0 ORDER BY id');
+    } catch (e) {
+        throw new Error('The collection in this package could not be read.');
+    } finally {
+        db.close();
+    }
+    if (!col) throw new Error('The collection in this package is empty.');
+
+    const models = JSON.parse(col.models);
+    const usedModels = new Set(notes.map(note => String(note.mid)));
+    const decks = JSON.parse(col.decks);
+
+    return {
+        createdAt: col.crt * 1000,
+        noteTypes: Object.values(models)
+            .filter(model => usedModels.has(String(model.id)))
+            .map(model => ({
+                id: String(model.id),
+                name: model.name,
+                isCloze: model.type === MODEL_TYPES.CLOZE,
+                fields: [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name),
+                noteCount: notes.filter(note => String(note.mid) === String(model.id)).length
+            })),
+        decks: Object.fromEntries(Object.values(decks).map(deck => [String(deck.id), deck.name])),
+        notes,
+        cards,
+        reviews,
+        media: readMedia(files)
+    };
+}
+
+// Media files are stored as "0", "1"... with a JSON manifest of their real names
+function readMedia(files) {
+    const media = new Map();
+    if (!files.media) return media;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(strFromU8(files.media));
+    } catch (e) {
+        console.warn('Unreadable media manifest in Anki package:', e);
+        return media;
+    }
+
+    Object.entries(manifest).forEach(([entry, filename]) => {
+        if (files[entry]) media.set(filename, files[entry]);
+    });
+    return media;
+}
+
+/**
+ * Which note fields become the term, definition and hint. Cloze note
+ * types take their text from `term` and have no definition.
+ * @param {Object} noteType - From readAnkiPackage
+ * @returns {Object} { term, definition, hint } field indexes, -1 for none
+ */
+export function getDefaultFieldMapping(noteType) {
+    const definition = noteType.isCloze || noteType.fields.length < 2 ? -1 : 1;
+    const hint = noteType.fields.findIndex((name, index) =>
+        index > 0 && index !== definition && /hint|extra/i.test(name));
+    return { term: 0, definition, hint };
+}
+
+/**
+ * Build sets from an opened package, one per deck that has cards
+ * @param {Object} pkg - From readAnkiPackage
+ * @param {Object} options - { fieldMapping: { [noteTypeId]: { term, definition, hint } }, includeHistory }
+ * @returns {Object} { sets, media: [{ card, kind: 'images'|'audio', field, blob }] }
+ */
+export function buildAnkiSets(pkg, options = {}) {
+    const { fieldMapping = {}, includeHistory = false } = options;
+    const noteTypes = new Map(pkg.noteTypes.map(type => [type.id, type]));
+    const cardsByNote = groupBy(pkg.cards, card => card.nid);
+    const reviewsByCard = groupBy(pkg.reviews, review => review.cid);
+    const sets = new Map(); // deck ID -> set
+    const media = [];
+
+    pkg.notes.forEach(note => {
+        const noteType = noteTypes.get(String(note.mid));
+        const ankiCards = cardsByNote.get(note.id) || [];
+        if (!noteType || ankiCards.length === 0) return;
+
+        const mapping = fieldMapping[noteType.id] || getDefaultFieldMapping(noteType);
+        const values = note.flds.split(FIELD_SEPARATOR);
+        const field = (index) => fromAnkiHtml(index >= 0 ? values[index] : '');
+        const term = field(mapping.term);
+        const definition = field(mapping.definition);
+        const hint = field(mapping.hint);
+
+        // A basic card stands for the whole note (reversed cards are just the
+        // other answer side here); cloze notes keep one card per cloze number
+        let pairs;
+        if (noteType.isCloze) {
+            const clozeCards = createClozeCards(term.text);
+            pairs = ankiCards
+                .map(ankiCard => [clozeCards.find(card => card.cloze.index === ankiCard.ord + 1), ankiCard])
+                .filter(([card]) => card);
+        } else {
+            if (!term.text && !definition.text && !hasMedia(term) && !hasMedia(definition)) return;
+            pairs = [[createCard(term.text, definition.text), ankiCards[0]]];
+        }
+
+        pairs.forEach(([card, ankiCard]) => {
+            if (hint.text) card.hint = hint.text;
+
+            if (includeHistory) {
+                const stats = getAnkiStats(ankiCard, reviewsByCard.get(ankiCard.id) || [], pkg.createdAt);
+                if (stats) {
+                    card.stats = stats;
+                    card.masteryLevel = getMasteryLevel(stats);
+                }
+            }
+
+            // Only the first image and sound of each side are kept
+            [['term', term], ['definition', definition]].forEach(([side, value]) => {
+                const image = pkg.media.get(value.images[0]);
+                const sound = pkg.media.get(value.sounds[0]);
+                if (image) media.push({ card, kind: 'images', field: side, blob: toBlob(image, value.images[0]) });
+                if (sound) media.push({ card, kind: 'audio', field: side, blob: toBlob(sound, value.sounds[0]) });
+            });
+
+            // Cards in a filtered deck belong to their original deck
+            const deckId = String(ankiCard.odid || ankiCard.did);
+            if (!sets.has(deckId)) {
+                sets.set(deckId, createSet((pkg.decks[deckId] || 'Anki import').replace(/::/g, ' / ')));
+            }
+            sets.get(deckId).cards.push(card);
+        });
+    });
+
+    return { sets: [...sets.values()], media };
+}
+
+/**
+ * Summary of an opened package for the import options
+ * @param {Object} pkg - From readAnkiPackage
+ * @returns {Object} { decks: [{ name, cards }], noteTypes: [{ ...noteType, mapping }] }
+ */
+export function summarizeAnkiPackage(pkg) {
+    const clozeTypes = new Set(pkg.noteTypes.filter(type => type.isCloze).map(type => type.id));
+    const cardsByNote = groupBy(pkg.cards, card => card.nid);
+    const deckCounts = new Map();
+
+    // Counted as they'll be imported: one card per basic note, one per cloze number
+    pkg.notes.forEach(note => {
+        const ankiCards = cardsByNote.get(note.id) || [];
+        (clozeTypes.has(String(note.mid)) ? ankiCards : ankiCards.slice(0, 1)).forEach(card => {
+            const name = pkg.decks[String(card.odid || card.did)] || 'Anki import';
+            deckCounts.set(name, (deckCounts.get(name) || 0) + 1);
+        });
+    });
+
+    return {
+        decks: [...deckCounts].map(([name, cards]) => ({ name: name.replace(/::/g, ' / '), cards })),
+        noteTypes: pkg.noteTypes.map(type => ({ ...type, mapping: getDefaultFieldMapping(type) }))
+    };
+}
+
+// SM-2 stats from an Anki card and its review log
+function getAnkiStats(ankiCard, reviews, collectionCreatedAt) {
+    if (ankiCard.type === ANKI_CARD_TYPES.NEW) return null;
+
+    // SM-2 counts consecutive passes: the trailing run of non-Again answers
+    let repetitions = 0;
+    for (let i = reviews.length - 1; i >= 0 && reviews[i].ease > 1; i--) repetitions++;
+    if (reviews.length === 0 && ankiCard.type === ANKI_CARD_TYPES.REVIEW) {
+        repetitions = Math.max(1, ankiCard.reps - ankiCard.lapses);
+    }
+
+    const dueIsTimestamp = ankiCard.queue === INTRADAY_LEARN_QUEUE ||
+        (ankiCard.queue < 0 && ankiCard.type !== ANKI_CARD_TYPES.REVIEW);
+
+    return {
+        ease: ankiCard.factor > 0 ? ankiCard.factor / 1000 : 2.5,
+        interval: ankiCard.type === ANKI_CARD_TYPES.REVIEW ? Math.max(1, ankiCard.ivl) : 1,
+        dueAt: dueIsTimestamp ? ankiCard.due * 1000 : collectionCreatedAt + ankiCard.due * DAY_MS,
+        repetitions,
+        lastReviewed: reviews.length > 0 ? reviews[reviews.length - 1].id : null
+    };
+}
+
+/**
+ * Turn an Anki field (HTML) into card text, pulling out images and [sound:] tags
+ * @param {string} html
+ * @returns {Object} { text, images: [filename], sounds: [filename] }
+ */
+function fromAnkiHtml(html) {
+    const images = [];
+    const sounds = [];
+
+    const marked = (html || '')
+        .replace(/\[sound:([^\]]+)\]/g, (_, filename) => {
+            sounds.push(filename);
+            return '';
+        })
+        .replace(/<img\b[^>]*?\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>/gi, (_, dq, sq, bare) => {
+            images.push(decodeHtml(dq ?? sq ?? bare));
+            return '';
+        })
+        .replace(/<br\s*\/?>|<div\b[^>]*>|<p\b[^>]*>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/?(b|strong)\b[^>]*>/gi, '**')
+        .replace(/<\/?(i|em)\b[^>]*>/gi, '*')
+        .replace(/<\/?sub\b[^>]*>/gi, '~')
+        .replace(/<\/?sup\b[^>]*>/gi, '^')
+        .replace(/<\/?code\b[^>]*>/gi, '`');
+
+    const text = decodeHtml(marked)
+        .replace(/\u00a0/g, ' ')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { text, images, sounds };
+}
+
+// Strip any remaining tags and decode entities
+function decodeHtml(html) {
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+}
+
+function hasMedia(value) {
+    return value.images.length > 0 || value.sounds.length > 0;
+}
+
+function toBlob(bytes, filename) {
+    const extension = filename.split('.').pop().toLowerCase();
+    return new Blob([bytes], { type: MEDIA_TYPES[extension] || '' });
+}
+
+function groupBy(items, getKey) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = getKey(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+const ANKI_SCHEMA = `
+    CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+        ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+        models text not null, decks text not null, dconf text not null, tags text not null);
+    CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+        usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+        flags integer not null, data text not null);
+    CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+        mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+        ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+        odue integer not null, odid integer not null, flags integer not null, data text not null);
+    CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+        ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+    CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+    CREATE INDEX ix_notes_usn on notes (usn);
+    CREATE INDEX ix_cards_usn on cards (usn);
+    CREATE INDEX ix_revlog_usn on revlog (usn);
+    CREATE INDEX ix_cards_nid on cards (nid);
+    CREATE INDEX ix_cards_sched on cards (did, queue, due);
+    CREATE INDEX ix_revlog_cid on revlog (cid);
+    CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const DEFAULT_DECK_CONFIG = {
+    id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 200 },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+};
+
+const CARD_CSS = '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }';
+
+function createDeck(id, name, mod) {
+    return {
+        id, name, mod, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+        extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+    };
+}
+
+function createModel(id, name, type, fields, templates, deckId, mod) {
+    return {
+        id, name, type, mod, usn: -1, sortf: 0, did: deckId, css: CARD_CSS, tags: [], vers: [],
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        latexsvg: false,
+        req: [[0, 'any', [0]]],
+        flds: fields.map((fieldName, ord) => ({
+            name: fieldName, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: []
+        })),
+        tmpls: templates.map(([templateName, qfmt, afmt], ord) => ({
+            name: templateName, ord, qfmt, afmt, bqfmt: '', bafmt: '', did: null
+        }))
+    };
+}
+
+// Inline formatting as Anki HTML; mirrors the rules in richText.js
+const ANKI_INLINE_RULES = [
+    [/\*\*(?=\S)(.+?)\*\*/g, '<b>$1</b>'],
+    [/\*(?=\S)(.+?)\*/g, '<i>$1</i>'],
+    [/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<i>$2</i>'],
+    [/~(?=\S)([^~\s]+)~/g, '<sub>$1</sub>'],
+    [/\^(?=\S)([^^\s]+)\^/g, '<sup>$1</sup>']
+];
+
+// Card text as an Anki field. Math becomes Anki's MathJax \( \) and \[ \].
+function toAnkiHtml(text) {
+    const protectedSpans = [];
+    const protect = (html) => {
+        protectedSpans.push(html);
+        return `\u0000${protectedSpans.length - 1}\u0000`;
+    };
+
+    let html = (text || '')
+        .replace(/`([^`\n]+)`/g, (_, code) => protect(`<code>${escapeHtml(code)}</code>`))
+        .replace(MATH_PATTERN, (_, display, bracket, paren, inline) => {
+            const isDisplay = display !== undefined || bracket !== undefined;
+            const tex = escapeHtml(display ?? bracket ?? paren ?? inline);
+            return protect(isDisplay ? `\\[${tex}\\]` : `\\(${tex}\\)`);
+        });
+
+    html = escapeHtml(html);
+    ANKI_INLINE_RULES.forEach(([pattern, replacement]) => {
+        html = html.replace(pattern, replacement);
+    });
+
+    return html
+        .replace(/\r?\n/g, '<br>')
+        .replace(/\u0000(\d+)\u0000/g, (_, i) => protectedSpans[i]);
+}
+
+// First 8 hex digits of the SHA-1 of the sort field, as Anki uses for duplicate checks
+async function getFieldChecksum(text) {
+    const digest = await crypto.subtle.digest('SHA-1', strToU8(text));
+    return parseInt([...new Uint8Array(digest).slice(0, 4)].map(b => b.toString(16).padStart(2, '0')).join(''), 16);
+}
+
+function getMediaExtension(type) {
+    return Object.keys(MEDIA_TYPES).find(extension => MEDIA_TYPES[extension] === type) || 'bin';
+}
+
+/**
+ * Write a set as an .apkg package: one deck, a Basic (and if needed Cloze)
+ * note type, and the cards' images and recordings as media
+ * @param {Object} set - Study set
+ * @param {Map} media - Blobs by image/recording ID for the set's cards
+ * @param {Object} options - { includeHistory }: carry SM-2 stats into Anki's scheduling
+ * @returns {Promise<Uint8Array>} Package file contents
+ */
+export async function buildAnkiPackage(set, media = new Map(), options = {}) {
+    const { includeHistory = false } = options;
+    const now = Date.now();
+    const nowSeconds = Math.floor(now / 1000);
+
+    // Day numbers count from the collection's creation, so start it on the earliest due day
+    const earliestDue = set.cards.reduce((earliest, card) => Math.min(earliest, card.stats?.dueAt || now), now);
+    const created = new Date(earliestDue);
+    created.setHours(0, 0, 0, 0);
+    const crt = Math.floor(created.getTime() / 1000);
+
+    const deckId = now;
+    const basicModelId = now + 1;
+    const clozeModelId = now + 2;
+    let nextId = now;
+
+    // Media files are named by their ID and numbered in the package
+    const mediaFiles = {};
+    const manifest = {};
+    const mediaName = async (id) => {
+        const blob = id && media.get(id);
+        if (!blob) return null;
+        const filename = `${id}.${getMediaExtension(blob.type)}`;
+        if (!Object.values(manifest).includes(filename)) {
+            const entry = String(Object.keys(manifest).length);
+            manifest[entry] = filename;
+            mediaFiles[entry] = new Uint8Array(await blob.arrayBuffer());
+        }
+        return filename;
+    };
+
+    const fieldHtml = async (card, side, text) => {
+        const image = await mediaName(card.images?.[side]);
+        const sound = await mediaName(card.audio?.[side]);
+        return toAnkiHtml(text) + (image ? `<br><img src="${escapeHtml(image)}">` : '') + (sound ? `[sound:${sound}]` : '');
+    };
+
+    // Cloze siblings share one note
+    const notes = [];
+    const clozeNotes = new Map();
+    for (const card of set.cards) {
+        if (isClozeCard(card)) {
+            if (!clozeNotes.has(card.cloze.noteId)) {
+                const note = {
+                    guid: card.cloze.noteId,
+                    mid: clozeModelId,
+                    fields: [await fieldHtml(card, 'term', card.cloze.text), toAnkiHtml(card.hint)],
+                    cards: []
+                };
+                clozeNotes.set(card.cloze.noteId, note);
+                notes.push(note);
+            }
+            clozeNotes.get(card.cloze.noteId).cards.push({ card, ord: card.cloze.index - 1 });
+        } else {
+            notes.push({
+                guid: card.uuid,
+                mid: basicModelId,
+                fields: [
+                    await fieldHtml(card, 'term', card.term),
+                    await fieldHtml(card, 'definition', card.definition),
+                    toAnkiHtml(card.hint)
+                ],
+                cards: [{ card, ord: 0 }]
+            });
+        }
+    }
+
+    const SQL = await loadSQL();
+    const db = new SQL.Database();
+    try {
+        db.run(ANKI_SCHEMA);
+
+        const models = {
+            [basicModelId]: createModel(basicModelId, 'StudySet Basic', MODEL_TYPES.STANDARD, ['Front', 'Back', 'Hint'], [
+                ['Card 1', '{{Front}}{{#Hint}}<br>{{hint:Hint}}{{/Hint}}', '{{FrontSide}}<hr id=answer>{{Back}}']
+            ], deckId, nowSeconds),
+            [clozeModelId]: createModel(clozeModelId, 'StudySet Cloze', MODEL_TYPES.CLOZE, ['Text', 'Back Extra'], [
+                ['Cloze', '{{cloze:Text}}', '{{cloze:Text}}<br>{{Back Extra}}']
+            ], deckId, nowSeconds)
+        };
+        const decks = {
+            1: createDeck(1, 'Default', nowSeconds),
+            [deckId]: createDeck(deckId, set.name, nowSeconds)
+        };
+        const conf = {
+            activeDecks: [1], curDeck: 1, curModel: String(basicModelId), nextPos: set.cards.length + 1,
+            addToCur: true, collapseTime: 1200, dueCounts: true, estTimes: true, newBury: true, newSpread: 0,
+            sortBackwards: false, sortType: 'noteFld', timeLim: 0
+        };
+        db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+            crt, now, now, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(decks),
+            JSON.stringify({ 1: DEFAULT_DECK_CONFIG }), '{}'
+        ]);
+
+        let position = 0;
+        for (const note of notes) {
+            const noteId = nextId++;
+            const sortField = decodeHtml(note.fields[0]);
+            db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, \'\', ?, ?, ?, 0, \'\')', [
+                noteId, note.guid, note.mid, nowSeconds, note.fields.join(FIELD_SEPARATOR),
+                sortField, await getFieldChecksum(sortField)
+            ]);
+
+            note.cards.forEach(({ card, ord }) => {
+                position++;
+                const stats = includeHistory && card.stats?.lastReviewed ? card.stats : null;
+                const schedule = stats
+                    ? {
+                        type: ANKI_CARD_TYPES.REVIEW,
+                        queue: 2,
+                        due: Math.round((stats.dueAt - crt * 1000) / DAY_MS),
+                        ivl: stats.interval,
+                        factor: Math.round(stats.ease * 1000),
+                        reps: stats.repetitions
+                    }
+                    : { type: ANKI_CARD_TYPES.NEW, queue: 0, due: position, ivl: 0, factor: 0, reps: 0 };
+
+                db.run('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, 0, \'\')', [
+                    nextId++, noteId, deckId, ord, nowSeconds,
+                    schedule.type, schedule.queue, schedule.due, schedule.ivl, schedule.factor, schedule.reps
+                ]);
+            });
+        }
+
+        return zipSync({
+            'collection.anki2': db.export(),
+            media: strToU8(JSON.stringify(manifest)),
+            ...mediaFiles
+        });
+    } finally {
+        db.close();
+    }
+}
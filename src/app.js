@@ -6,38 +6,79 @@
 import {
     getState, setState, getAllSets, getSet, getActiveSet, setActiveSetId,
     createSet, addSet, updateSet, deleteSet as deleteSetFromState,
-    createCard, addCardToSet, updateCard, deleteCard as deleteCardFromState,
-    toggleCardStar, getLearnSession, setLearnSession, clearLearnSession,
-    createLearnSession, getDueCards, getStarredCards, getTtsState, updateTtsState,
-    getSettings, updateKeyBindings, getFeatures, toggleFeature,
-    initializeState, exportState, generateUUID
+    createCard, createClozeCards, addCardToSet, updateCard, updateClozeNote, getCard,
+    setCardImage, getCardImage, getCardImageIds, setCardRecording, getCardRecording, getCardRecordingIds,
+    getCardAlternatives, setCardAlternatives, getAcceptedAnswers, parseAlternatives, formatAlternatives,
+    deleteCard as deleteCardFromState,
+    toggleCardStar, recordConfusion, addTestResult, getTestHistory, recordMatchTime, getMatchBest,
+    getLearnSession, setLearnSession, clearLearnSession,
+    createLearnSession, getDueCards, getDueCount, getStarredCards, getTtsState, updateTtsState,
+    getSettings, updateKeyBindings, updateQuestionTypes, setProgressiveRounds, setAnswerWith,
+    getFeatures, toggleFeature, initializeState, exportState, generateUUID,
+    resolveAnswerSide, getPromptText, getAnswerText, getPromptField, getAnswerField, QUESTION_TYPES, LEARN_STAGES,
+    RECOGNITION_TYPES, ANSWER_SIDES, CARD_TYPES
 } from './state.js';
 
 import {
     saveState, loadState, saveLearnSession, loadLearnSession, clearLearnSessionStorage,
-    initAudioDB, exportSetToJSON, importSetFromJSON, downloadJSON, uploadJSON
+    initDataDB, setStorageErrorHandler, getLoadFailure,
+    createBackup, listBackups, restoreBackup, discardUnreadableState, getStateCounts, BACKUP_REASONS,
+    initAudioDB, initMediaDB, saveImage, getImage, getImageDataURL, deleteImages, uploadImage,
+    saveRecording, getRecording, deleteRecordings, uploadAudio, exportRecordings, importRecording, exportImages, importImage,
+    exportSetToJSON, importSetFromJSON, exportLibraryToJSON, importLibraryFromJSON, downloadJSON, uploadJSON,
+    downloadBlob, uploadAnkiPackage, uploadCSV, canSavePDF, savePDF
 } from './storage.js';
 
 import {
-    showHome, showSetView, showLearnMode, hideAllModals,
+    showHome, showSetView, showLearnMode, showTestMode, showMatchMode, hideAllModals,
     showModal, hideModal, SECTIONS, MODALS, getCurrentSection, isModalOpen
 } from './navigation.js';
 
 import {
     renderHome, renderSetView, renderLearnMode, renderLearnQuestion,
-    renderAnswerFeedback, renderLearnFeedback, renderLearnSummary,
-    renderLearnCompletion, resetLearnUI, shuffleArray, escapeHtml
+    renderAnswerFeedback, renderWrittenFeedback, renderRevealedAnswer, renderLearnFeedback, renderLearnSummary,
+    renderLearnCompletion, resetLearnUI, renderTestSetup, renderTestExam, renderTestResults,
+    renderTestTimer, renderMatchIntro, renderMatchBoard, renderMatchTileState, renderMatchTimer,
+    renderMatchComplete, renderRecordingButton, renderHint, renderBackupList, renderLibraryImportPreview,
+    renderAnkiImportOptions, renderCsvColumnMapping, renderImportPreview, renderImportRowState,
+    renderDuplicateImportList, renderDuplicateGroups,
+    shuffleArray, escapeHtml
 } from './render.js';
 
-import { speak, stop as stopTTS, loadVoices, preCacheCards } from './tts.js';
+import { speak, speakCardSide, stop as stopTTS, loadVoices, preCacheCards } from './tts.js';
+import { isRecordingSupported, startRecording, stopRecording } from './recorder.js';
 
 import {
     calculateSM2, GRADES, GRADE_LABELS, getDueCards as getDueCardsFromArray,
-    isCardDue, getMasteryLevel
+    getMasteryLevel
 } from './spacedRep.js';
 
 import { recordCardStudy, recordSessionTime, cleanupOldData } from './analytics.js';
 
+import { gradeAgainstAccepted } from './grading.js';
+
+import { hasCloze, getClozeIndices } from './cloze.js';
+
+import { planLibraryImport, LIBRARY_IMPORT_MODES } from './library.js';
+
+import { readAnkiPackage, summarizeAnkiPackage, buildAnkiSets, buildAnkiPackage } from './anki.js';
+
+import {
+    parseCSV, detectCSVDelimiter, isHeaderRow, guessColumnMapping, buildCardsFromRows, exportSetToCSV, CSV_FIELDS
+} from './csv.js';
+
+import {
+    findIncomingDuplicates, findDuplicateGroups, mergeDuplicateCards, canOverwriteDefinition, DUPLICATE_ACTIONS
+} from './duplicates.js';
+
+import { buildPrintDocument, PRINT_LAYOUTS, FLIP_EDGES } from './print.js';
+
+import { getDefaultTestCounts, buildTest, countTestItems, gradeTest } from './testMode.js';
+
+import {
+    buildMatchBoard, isMatchingPair, formatMatchTime, MATCH_PENALTY_MS
+} from './matchGame.js';
+
 // ============================================================
 // APPLICATION STATE
 // ============================================================
@@ -45,12 +86,32 @@ import { recordCardStudy, recordSessionTime, cleanupOldData } from './analytics.
 let flashcardState = {
     currentIndex: 0,
     cardOrder: [],
-    isFlipped: false
+    isFlipped: false,
+    answerWith: ANSWER_SIDES.DEFINITION, // Front shows the term by default
+    currentSide: ANSWER_SIDES.DEFINITION
 };
 
 let learnState = {
     sessionStartTime: null,
-    batchHistory: []
+    batchHistory: [],
+    pendingWritten: null, // Wrong written answer awaiting Next or "I was right"
+    answerRevealed: false // SM-2 answer shown, grade buttons active
+};
+
+let testState = {
+    test: null,      // Test in progress, null on the setup and results screens
+    answers: {},
+    startedAt: null,
+    timerId: null
+};
+
+let matchState = {
+    tiles: [],
+    selectedId: null,
+    matchedIds: new Set(),
+    mismatches: 0,
+    startedAt: null,
+    timerId: null
 };
 
 // ============================================================
@@ -60,11 +121,26 @@ let learnState = {
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('StudySet initializing...');
 
-    // Initialize audio cache
+    // Initialize the study data, audio cache (with recordings) and image stores
+    await initDataDB();
     await initAudioDB();
+    await initMediaDB();
+
+    // Failed saves are reported once until a save succeeds again;
+    // repeating the alert on every answer wouldn't help
+    let storageErrorShown = false;
+    setStorageErrorHandler((message) => {
+        if (!message) {
+            storageErrorShown = false;
+            return;
+        }
+        if (storageErrorShown) return;
+        storageErrorShown = true;
+        alert(message);
+    });
 
-    // Load saved state
-    loadState();
+    // Load saved state (moving it out of localStorage on first run)
+    await loadState();
 
     // Load saved learn session
     const savedSession = loadLearnSession();
@@ -84,6 +160,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Show home screen
     navigateToHome();
 
+    // Saved data that fails to load isn't replaced silently: offer the backups instead
+    if (getLoadFailure()) openBackupsModal();
+
     console.log('StudySet ready!');
 });
 
@@ -92,6 +171,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 // ============================================================
 
 function navigateToHome() {
+    finishRecording();
     showHome(() => {
         renderHome({
             onCreateSet: () => showModal('createSetModal'),
@@ -115,16 +195,10 @@ function navigateToSetView(setId) {
         flashcardState.currentIndex = 0;
         flashcardState.isFlipped = false;
     }
+    flashcardState.currentSide = resolveAnswerSide(flashcardState.answerWith);
 
     showSetView(setId, () => {
-        renderSetView(setId, {
-            currentIndex: flashcardState.currentIndex,
-            cardOrder: flashcardState.cardOrder,
-            onToggleStar: handleToggleStar,
-            onSpeak: handleSpeak,
-            onDeleteCard: handleDeleteCard,
-            onUpdateCard: handleUpdateCard
-        });
+        renderSetView(setId, getSetViewHandlers());
     });
 
     // Pre-cache starred cards and next cards
@@ -136,6 +210,7 @@ function navigateToSetView(setId) {
 }
 
 function navigateToLearnMode(setId, options = {}) {
+    finishRecording();
     const { resume = false, mode = 'all' } = options;
 
     setActiveSetId(setId);
@@ -164,6 +239,7 @@ function navigateToLearnMode(setId, options = {}) {
     saveLearnSession(session); // Immediate save
     learnState.sessionStartTime = Date.now();
     learnState.batchHistory = [];
+    learnState.pendingWritten = null;
 
     showLearnMode(setId, options, () => {
         resetLearnUI();
@@ -177,7 +253,7 @@ function initializeNewSession(set, mode) {
     if (mode === 'starred') {
         cards = set.cards.filter(c => c.starred);
     } else if (mode === 'due') {
-        cards = set.cards.filter(c => isCardDue(c));
+        cards = getDueCards(set.uuid);
     } else {
         cards = set.cards;
     }
@@ -188,11 +264,16 @@ function initializeNewSession(set, mode) {
     }
 
     const shuffled = shuffleArray(cards);
+    const settings = getSettings();
 
     return createLearnSession(
         set.uuid,
         shuffled.map(c => c.uuid),
-        mode
+        mode,
+        {
+            stages: settings.progressiveRounds ? LEARN_STAGES : null,
+            answerWith: settings.answerWith
+        }
     );
 }
 
@@ -221,21 +302,91 @@ function nextQuestion() {
 
     // Get next question
     session.currentQuestionId = session.unseenIds[0];
+    session.currentQuestionType = getQuestionType(session, session.currentQuestionId);
+    session.currentAnswerSide = resolveAnswerSide(session.answerWith);
+    session.currentHintUsed = false;
     setLearnSession(session);
     saveLearnSession(session);
 
+    learnState.answerRevealed = false;
     resetLearnUI();
-    renderLearnMode(session, set, {
-        onGrade: handleGrade,
-        onAnswer: handleMultipleChoiceAnswer,
-        onWordClick: handleWordClick
-    });
+    renderLearnMode(session, set, getLearnHandlers());
 
     // Auto-read if enabled
     const ttsState = getTtsState();
     if (ttsState.autoRead) {
         const card = set.cards.find(c => c.uuid === session.currentQuestionId);
-        if (card) speak(card.definition);
+        if (card) speak(getPromptText(card, session.currentAnswerSide));
+    }
+}
+
+function getLearnHandlers() {
+    return {
+        onGrade: handleGrade,
+        onReveal: handleRevealAnswer,
+        onAnswer: handleMultipleChoiceAnswer,
+        onWrittenAnswer: handleWrittenAnswer,
+        onWordClick: handleWordClick,
+        onShowHint: handleShowHint
+    };
+}
+
+// Progressive sessions ask the card's current stage; otherwise mix enabled types
+function getQuestionType(session, cardId) {
+    if (session.stages) {
+        const stage = session.cardStages?.[cardId] || 0;
+        const type = session.stages[Math.min(stage, session.stages.length - 1)];
+
+        // The multiple-choice round mixes in any enabled recognition type
+        if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+            return pickQuestionType(RECOGNITION_TYPES);
+        }
+        return type;
+    }
+    return pickQuestionType(Object.values(QUESTION_TYPES));
+}
+
+// Pick a random question type among the candidates enabled in Learn settings
+function pickQuestionType(candidates) {
+    const enabled = getSettings().questionTypes || {};
+    const types = candidates.filter(type => enabled[type]);
+
+    if (types.length === 0) return QUESTION_TYPES.MULTIPLE_CHOICE;
+    return types[Math.floor(Math.random() * types.length)];
+}
+
+function handleRevealAnswer() {
+    const session = getLearnSession();
+    const set = getActiveSet();
+    if (!session || !set || learnState.answerRevealed) return;
+    if (!getFeatures().spacedRepetition) return;
+
+    const card = set.cards.find(c => c.uuid === session.currentQuestionId);
+    if (!card) return;
+
+    learnState.answerRevealed = true;
+    renderRevealedAnswer(card, session.currentAnswerSide, getLearnHandlers(), session.currentHintUsed);
+}
+
+// Reveal the current card's hint; the answer that follows counts as helped
+function handleShowHint() {
+    const session = getLearnSession();
+    const set = getActiveSet();
+    if (!session || !set || session.currentHintUsed) return;
+
+    const card = set.cards.find(c => c.uuid === session.currentQuestionId);
+    if (!card?.hint) return;
+
+    session.currentHintUsed = true;
+    session.hintedIds = [...new Set([...(session.hintedIds || []), card.uuid])];
+    setLearnSession(session);
+    saveLearnSession(session);
+
+    renderHint(card);
+
+    // A hint taken after the reveal still caps the grade
+    if (learnState.answerRevealed) {
+        renderRevealedAnswer(card, session.currentAnswerSide, getLearnHandlers(), true);
     }
 }
 
@@ -244,9 +395,16 @@ function handleGrade(grade) {
     const set = getActiveSet();
     if (!session || !set) return;
 
+    // Grades only count once the answer has been seen
+    if (!learnState.answerRevealed) return;
+    learnState.answerRevealed = false;
+
     const card = set.cards.find(c => c.uuid === session.currentQuestionId);
     if (!card) return;
 
+    // Recall with a hint is Hard at best
+    if (session.currentHintUsed) grade = Math.min(grade, GRADES.HARD);
+
     // Calculate new stats using SM-2
     const newStats = calculateSM2(card.stats, grade);
     updateCard(set.uuid, card.uuid, { stats: newStats });
@@ -263,7 +421,8 @@ function handleGrade(grade) {
     learnState.batchHistory.push({
         card: { term: card.term, definition: card.definition },
         correct: isCorrect,
-        grade: grade
+        grade: grade,
+        hinted: session.currentHintUsed
     });
 
     if (grade >= GRADES.GOOD) {
@@ -281,7 +440,7 @@ function handleGrade(grade) {
     setLearnSession(session);
     saveLearnSession(session);
 
-    // Show brief feedback then next question
+    // The answer was already revealed, so move straight on
     if (grade >= GRADES.GOOD) {
         // Quick success animation
         const progressBar = document.getElementById('progressBar');
@@ -291,7 +450,7 @@ function handleGrade(grade) {
         }
         setTimeout(nextQuestion, 800);
     } else {
-        renderLearnFeedback(false, card.term);
+        nextQuestion();
     }
 }
 
@@ -306,12 +465,91 @@ function handleMultipleChoiceAnswer(isCorrect, selectedBtn, correctId) {
     // Show feedback
     renderAnswerFeedback(selectedBtn, correctId, isCorrect);
 
+    // Remember which card was mistaken for this one
+    const chosenId = selectedBtn?.dataset.chosenId;
+    if (!isCorrect && chosenId && chosenId !== card.uuid) {
+        recordConfusion(set.uuid, card.uuid, chosenId);
+    }
+
+    recordLearnResult(session, set, card, isCorrect);
+
+    setTimeout(() => {
+        if (isCorrect) {
+            nextQuestion();
+        } else {
+            renderLearnFeedback(false, getAnswerText(card, session.currentAnswerSide), {
+                alternatives: getCardAlternatives(card, getAnswerField(card, session.currentAnswerSide))
+            });
+        }
+    }, 1000);
+}
+
+function handleWrittenAnswer(answer) {
+    const session = getLearnSession();
+    const set = getActiveSet();
+    if (!session || !set || learnState.pendingWritten) return;
+
+    const card = set.cards.find(c => c.uuid === session.currentQuestionId);
+    if (!card) return;
+
+    const expected = getAnswerText(card, session.currentAnswerSide);
+    const accepted = getAcceptedAnswers(card, session.currentAnswerSide);
+    const result = gradeAgainstAccepted(answer, accepted);
+    renderWrittenFeedback(result, result.matched);
+
+    if (result.correct) {
+        recordLearnResult(session, set, card, true);
+        setTimeout(nextQuestion, 1000);
+        return;
+    }
+
+    // Hold the result until the learner moves on, so it can still be overridden
+    learnState.pendingWritten = { cardId: card.uuid, answer };
+    renderLearnFeedback(false, expected, {
+        given: answer.trim(),
+        allowOverride: answer.trim() !== '',
+        alternatives: accepted.slice(1)
+    });
+}
+
+function resolvePendingWritten(isCorrect) {
+    const session = getLearnSession();
+    const set = getActiveSet();
+    const pending = learnState.pendingWritten;
+    learnState.pendingWritten = null;
+    if (!session || !set || !pending) return;
+
+    const card = set.cards.find(c => c.uuid === pending.cardId);
+    if (!card) return;
+
+    // A typed answer that matches another card is a confusion with that card
+    if (!isCorrect && pending.answer.trim()) {
+        const confusedWith = set.cards.find(c => c.uuid !== card.uuid &&
+            gradeAgainstAccepted(pending.answer, getAcceptedAnswers(c, session.currentAnswerSide)).correct);
+        if (confusedWith) recordConfusion(set.uuid, card.uuid, confusedWith.uuid);
+    }
+
+    recordLearnResult(session, set, card, isCorrect);
+}
+
+function handleWrittenOverride() {
+    resolvePendingWritten(true);
+    nextQuestion();
+}
+
+function handleNextQuestion() {
+    resolvePendingWritten(false);
+    nextQuestion();
+}
+
+// Apply an answer to mastery, analytics and the session queue
+function recordLearnResult(session, set, card, isCorrect) {
     // Record analytics
     recordCardStudy(isCorrect);
 
-    // Update mastery
+    // Update mastery; a hinted answer passes the question but doesn't raise mastery
     if (isCorrect) {
-        card.masteryLevel = (card.masteryLevel || 0) + 1;
+        if (!session.currentHintUsed) card.masteryLevel = (card.masteryLevel || 0) + 1;
     } else {
         card.masteryLevel = 0;
     }
@@ -322,12 +560,25 @@ function handleMultipleChoiceAnswer(isCorrect, selectedBtn, correctId) {
     session.questionsAnswered++;
     learnState.batchHistory.push({
         card: { term: card.term, definition: card.definition },
-        correct: isCorrect
+        correct: isCorrect,
+        hinted: session.currentHintUsed
     });
 
-    if (isCorrect) {
+    const nextStage = (session.cardStages?.[card.uuid] || 0) + 1;
+    const hasMoreStages = session.stages && nextStage < session.stages.length;
+
+    if (isCorrect && hasMoreStages) {
+        // Passed this stage - promote and send to the back for the next round
+        session.unseenIds.shift();
+        session.unseenIds.push(card.uuid);
+        session.cardStages = { ...session.cardStages, [card.uuid]: nextStage };
+        session.correctCount++;
+    } else if (isCorrect) {
         session.unseenIds.shift();
         session.masteredIds.push(card.uuid);
+        if (session.stages) {
+            session.cardStages = { ...session.cardStages, [card.uuid]: session.stages.length };
+        }
         session.correctCount++;
     } else {
         session.unseenIds.shift();
@@ -337,14 +588,6 @@ function handleMultipleChoiceAnswer(isCorrect, selectedBtn, correctId) {
 
     setLearnSession(session);
     saveLearnSession(session);
-
-    setTimeout(() => {
-        if (isCorrect) {
-            nextQuestion();
-        } else {
-            renderLearnFeedback(false, card.term);
-        }
-    }, 1000);
 }
 
 function handleLearnComplete() {
@@ -392,6 +635,295 @@ function handleExitLearn() {
     navigateToSetView(getState().activeSetId);
 }
 
+// ============================================================
+// TEST MODE HANDLERS
+// ============================================================
+
+function navigateToTestMode(setId) {
+    finishRecording();
+    setActiveSetId(setId);
+    const set = getSet(setId);
+    if (!set) return;
+
+    if (set.cards.length < 2) {
+        alert(`Need at least 2 cards. Found ${set.cards.length}.`);
+        return;
+    }
+
+    resetTestState();
+
+    showTestMode(setId, () => {
+        renderTestSetup(set, getDefaultTestCounts(set.cards.length), getTestHistory(setId));
+        const answerWith = document.getElementById('testAnswerWith');
+        if (answerWith) answerWith.value = getSettings().answerWith;
+    });
+}
+
+function resetTestState() {
+    if (testState.timerId) clearInterval(testState.timerId);
+    testState = { test: null, answers: {}, startedAt: null, timerId: null };
+}
+
+function handleStartTest() {
+    const set = getActiveSet();
+    if (!set) return;
+
+    const counts = {};
+    document.querySelectorAll('#testSetup input[data-test-type]').forEach(input => {
+        counts[input.dataset.testType] = Math.max(0, parseInt(input.value, 10) || 0);
+    });
+
+    const requested = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    if (requested === 0) {
+        alert('Choose at least one question.');
+        return;
+    }
+    if (requested > set.cards.length) {
+        alert(`This set only has ${set.cards.length} cards. Reduce the question counts to ${set.cards.length} or fewer.`);
+        return;
+    }
+
+    const timeLimitMinutes = Math.max(0, parseInt(document.getElementById('testTimeLimit')?.value, 10) || 0);
+    const answerWith = document.getElementById('testAnswerWith')?.value || ANSWER_SIDES.TERM;
+
+    resetTestState();
+    testState.test = buildTest(set, counts, { answerWith, timeLimitMinutes });
+    testState.startedAt = Date.now();
+
+    renderTestExam(testState.test, { onAnswer: handleTestAnswer });
+    updateTestTimer();
+    testState.timerId = setInterval(updateTestTimer, 1000);
+}
+
+function updateTestTimer() {
+    const { test, startedAt } = testState;
+    if (!test) return;
+
+    const elapsed = Math.floor((Date.now() - startedAt) / 1000);
+    const limit = test.timeLimitMinutes * 60;
+    const shown = limit > 0 ? Math.max(0, limit - elapsed) : elapsed;
+    const minutes = Math.floor(shown / 60);
+    const seconds = String(shown % 60).padStart(2, '0');
+
+    renderTestTimer(`${minutes}:${seconds}`);
+
+    if (limit > 0 && elapsed >= limit) {
+        handleSubmitTest(true);
+    }
+}
+
+function handleTestAnswer(questionId, value) {
+    if (!testState.test) return;
+    testState.answers[questionId] = value;
+}
+
+function handleSubmitTest(timeUp = false) {
+    const { test, answers, startedAt } = testState;
+    if (!test) return;
+
+    if (!timeUp) {
+        const answered = test.questions.reduce((sum, q) => {
+            const answer = answers[q.id];
+            if (q.type === QUESTION_TYPES.WRITTEN) return sum + (answer?.trim() ? 1 : 0);
+            if (answer && typeof answer === 'object') return sum + Object.keys(answer).length;
+            return sum + (answer === undefined ? 0 : 1);
+        }, 0);
+        const unanswered = countTestItems(test) - answered;
+
+        if (unanswered > 0 && !confirm(`${unanswered} question(s) unanswered. Submit anyway?`)) {
+            return;
+        }
+    } else {
+        alert('Time is up! Your test has been submitted.');
+    }
+
+    clearInterval(testState.timerId);
+    testState.timerId = null;
+
+    const result = gradeTest(test, answers);
+    const durationMs = Date.now() - startedAt;
+
+    // Every graded item counts towards the daily stats
+    const missedIds = new Set(result.missed.map(m => m.cardId));
+    result.missed.forEach(() => recordCardStudy(false));
+    for (let i = 0; i < result.correct; i++) recordCardStudy(true);
+    const minutes = Math.round(durationMs / 60000);
+    if (minutes > 0) recordSessionTime(minutes);
+
+    addTestResult(test.setId, {
+        id: test.id,
+        takenAt: Date.now(),
+        durationMs,
+        correct: result.correct,
+        total: result.total,
+        percent: result.percent,
+        breakdown: result.breakdown,
+        missedIds: [...missedIds]
+    });
+    saveState();
+
+    testState.test = null;
+    renderTestResults({ ...result, durationMs }, getTestHistory(test.setId));
+}
+
+function handleExitTest() {
+    if (testState.test && !confirm('Leave this test? Your answers will be lost.')) {
+        return;
+    }
+
+    resetTestState();
+    navigateToSetView(getState().activeSetId);
+}
+
+// ============================================================
+// MATCH GAME HANDLERS
+// ============================================================
+
+function navigateToMatchMode(setId) {
+    finishRecording();
+    setActiveSetId(setId);
+    const set = getSet(setId);
+    if (!set) return;
+
+    if (set.cards.length < 2) {
+        alert(`Need at least 2 cards. Found ${set.cards.length}.`);
+        return;
+    }
+
+    resetMatchState();
+
+    showMatchMode(setId, () => {
+        const best = getMatchBest(setId);
+        renderMatchIntro(set, best ? `${formatMatchTime(best.timeMs)} (${best.pairs} pairs)` : null, MATCH_PENALTY_MS / 1000);
+    });
+}
+
+function resetMatchState() {
+    if (matchState.timerId) clearInterval(matchState.timerId);
+    matchState = {
+        tiles: [],
+        selectedId: null,
+        matchedIds: new Set(),
+        mismatches: 0,
+        startedAt: null,
+        timerId: null
+    };
+}
+
+function handleStartMatch() {
+    const set = getActiveSet();
+    if (!set) return;
+
+    resetMatchState();
+    matchState.tiles = buildMatchBoard(set);
+
+    if (matchState.tiles.length < 4) {
+        alert('This set needs at least 2 cards with different terms and definitions to play Match.');
+        return;
+    }
+
+    renderMatchBoard(matchState.tiles, {
+        onSelect: handleMatchSelect,
+        onDrop: handleMatchAttempt
+    });
+
+    matchState.startedAt = Date.now();
+    updateMatchTimer();
+    matchState.timerId = setInterval(updateMatchTimer, 100);
+}
+
+function getMatchElapsed() {
+    return Date.now() - matchState.startedAt + matchState.mismatches * MATCH_PENALTY_MS;
+}
+
+function updateMatchTimer() {
+    if (!matchState.startedAt) return;
+    renderMatchTimer(formatMatchTime(getMatchElapsed()), matchState.mismatches * MATCH_PENALTY_MS / 1000);
+}
+
+function handleMatchSelect(tileId) {
+    if (!matchState.startedAt || matchState.matchedIds.has(tileId)) return;
+
+    const { selectedId } = matchState;
+
+    if (!selectedId) {
+        matchState.selectedId = tileId;
+        renderMatchTileState([tileId], 'selected');
+    } else if (selectedId === tileId) {
+        matchState.selectedId = null;
+        renderMatchTileState([tileId], 'idle');
+    } else {
+        handleMatchAttempt(selectedId, tileId);
+    }
+}
+
+function handleMatchAttempt(firstId, secondId) {
+    if (!matchState.startedAt) return;
+    if (matchState.matchedIds.has(firstId) || matchState.matchedIds.has(secondId)) return;
+
+    const first = matchState.tiles.find(t => t.id === firstId);
+    const second = matchState.tiles.find(t => t.id === secondId);
+    if (!first || !second) return;
+
+    if (matchState.selectedId) {
+        renderMatchTileState([matchState.selectedId], 'idle');
+        matchState.selectedId = null;
+    }
+
+    // Two terms or two definitions: move the selection instead of penalising
+    if (first.side === second.side) {
+        matchState.selectedId = secondId;
+        renderMatchTileState([secondId], 'selected');
+        return;
+    }
+
+    if (isMatchingPair(first, second)) {
+        matchState.matchedIds.add(firstId);
+        matchState.matchedIds.add(secondId);
+        renderMatchTileState([firstId, secondId], 'matched');
+
+        if (matchState.matchedIds.size === matchState.tiles.length) {
+            handleMatchComplete();
+        }
+    } else {
+        matchState.mismatches++;
+        recordConfusion(getState().activeSetId, first.cardId, second.cardId);
+        renderMatchTileState([firstId, secondId], 'mismatch');
+        updateMatchTimer();
+    }
+}
+
+function handleMatchComplete() {
+    const timeMs = getMatchElapsed();
+    const setId = getState().activeSetId;
+    const pairs = matchState.tiles.length / 2;
+
+    clearInterval(matchState.timerId);
+    matchState.timerId = null;
+    matchState.startedAt = null;
+
+    const isNewBest = recordMatchTime(setId, timeMs, pairs);
+    const minutes = Math.round(timeMs / 60000);
+    if (minutes > 0) recordSessionTime(minutes);
+    saveState();
+
+    renderMatchComplete({
+        timeText: formatMatchTime(timeMs),
+        bestText: formatMatchTime(getMatchBest(setId).timeMs),
+        isNewBest,
+        pairs,
+        mismatches: matchState.mismatches
+    });
+}
+
+function handleExitMatch() {
+    // Mismatches recorded as confusions are kept even if the game is abandoned
+    if (matchState.mismatches > 0) saveState();
+
+    resetMatchState();
+    navigateToSetView(getState().activeSetId);
+}
+
 // ============================================================
 // QUICK ACTION HANDLERS
 // ============================================================
@@ -406,7 +938,7 @@ function handleStudy5Min() {
     let maxDue = 0;
 
     setIds.forEach(id => {
-        const due = getDueCards(id).length;
+        const due = getDueCount(id);
         if (due > maxDue) {
             maxDue = due;
             bestSetId = id;
@@ -422,7 +954,7 @@ function handleReviewAllDue() {
 
     // Find first set with due cards
     for (const id of setIds) {
-        const due = getDueCards(id).length;
+        const due = getDueCount(id);
         if (due >= 2) {
             navigateToLearnMode(id, { mode: 'due' });
             return;
@@ -449,26 +981,55 @@ function handleRandomSet() {
 // CARD HANDLERS
 // ============================================================
 
-function handleToggleStar(cardId) {
-    const setId = getState().activeSetId;
-    toggleCardStar(setId, cardId);
-    saveState();
+// Largest image accepted on a card face
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
 
-    // Re-render term list
-    renderSetView(setId, {
+// Largest audio file accepted as a recording
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+// Card field being recorded from the microphone: { cardId, field } or null
+let activeRecording = null;
+
+function getSetViewHandlers() {
+    return {
         currentIndex: flashcardState.currentIndex,
         cardOrder: flashcardState.cardOrder,
+        currentSide: flashcardState.currentSide,
+        recording: activeRecording,
         onToggleStar: handleToggleStar,
         onSpeak: handleSpeak,
         onDeleteCard: handleDeleteCard,
-        onUpdateCard: handleUpdateCard
-    });
+        onUpdateCard: handleUpdateCard,
+        onUpdateAlternatives: handleUpdateAlternatives,
+        onPickImage: handlePickImage,
+        onAttachImage: handleAttachImage,
+        onRemoveImage: handleRemoveImage,
+        onToggleRecording: handleToggleRecording,
+        onPickAudio: handlePickAudio,
+        onAttachAudio: handleAttachAudio,
+        onPlayRecording: handlePlayRecording,
+        onRemoveRecording: handleRemoveRecording
+    };
+}
+
+function handleToggleStar(cardId) {
+    const setId = getState().activeSetId;
+    toggleCardStar(setId, cardId);
+    saveState();
+
+    // Re-render term list
+    renderSetView(setId, getSetViewHandlers());
 }
 
 function handleDeleteCard(cardId) {
     const setId = getState().activeSetId;
+    const cards = [getCard(setId, cardId)].filter(Boolean);
+    const imageIds = getCardImageIds(cards);
+    const recordingIds = getCardRecordingIds(cards);
     deleteCardFromState(setId, cardId);
     saveState();
+    deleteImages(imageIds);
+    deleteRecordings(recordingIds);
 
     // Re-initialize flashcard order
     const set = getSet(setId);
@@ -489,12 +1050,207 @@ function handleUpdateCard(cardId, field, value) {
         updateCard(setId, cardId, { term: value });
     } else if (field === 'definition') {
         updateCard(setId, cardId, { definition: value });
+    } else if (field === 'hint') {
+        updateCard(setId, cardId, { hint: value });
+    } else if (field === 'cloze') {
+        const card = getCard(setId, cardId);
+        if (!card || value === card.cloze.text) return;
+
+        if (!hasCloze(value)) {
+            alert('Cloze text needs at least one {{c1::...}} span.');
+        } else {
+            // Cards for removed cloze numbers take their images and recordings with them
+            const previousImageIds = getCardImageIds(getSet(setId).cards);
+            const previousRecordingIds = getCardRecordingIds(getSet(setId).cards);
+            updateClozeNote(setId, card.cloze.noteId, value);
+            saveState();
+
+            const keptImageIds = new Set(getCardImageIds(getSet(setId).cards));
+            const keptRecordingIds = new Set(getCardRecordingIds(getSet(setId).cards));
+            deleteImages(previousImageIds.filter(id => !keptImageIds.has(id)));
+            deleteRecordings(previousRecordingIds.filter(id => !keptRecordingIds.has(id)));
+        }
+
+        // Sibling cards may have been added or removed
+        const set = getSet(setId);
+        flashcardState.cardOrder = set.cards.map((_, i) => i);
+        flashcardState.currentIndex = Math.min(flashcardState.currentIndex, Math.max(set.cards.length - 1, 0));
+        navigateToSetView(setId);
+        return;
     }
     saveState();
 }
 
-function handleSpeak(text) {
-    speak(text);
+function handleUpdateAlternatives(cardId, field, text) {
+    const setId = getState().activeSetId;
+    const alternatives = parseAlternatives(text);
+    if (formatAlternatives(alternatives) === formatAlternatives(getCardAlternatives(getCard(setId, cardId), field))) return;
+
+    setCardAlternatives(setId, cardId, field, alternatives);
+    saveState();
+    renderSetView(setId, getSetViewHandlers());
+}
+
+// The term list's speak button plays the term's recording when there is one
+function handleSpeak(cardId, text) {
+    const card = getCard(getState().activeSetId, cardId);
+    if (card) {
+        speakCardSide(card, 'term', text);
+    } else {
+        speak(text);
+    }
+}
+
+async function handlePickImage(cardId, field) {
+    const file = await uploadImage();
+    if (file) handleAttachImage(cardId, field, file);
+}
+
+async function handleAttachImage(cardId, field, file) {
+    if (!file.type.startsWith('image/')) {
+        alert('Please choose an image file.');
+        return;
+    }
+    if (file.size > MAX_IMAGE_BYTES) {
+        alert('Images must be 5 MB or smaller.');
+        return;
+    }
+
+    const setId = getState().activeSetId;
+    const card = getCard(setId, cardId);
+    if (!card) return;
+
+    const imageId = await saveImage(file);
+    if (!imageId) {
+        alert('Could not save the image.');
+        return;
+    }
+
+    const previousId = getCardImage(card, field);
+    setCardImage(setId, cardId, field, imageId);
+    saveState();
+    if (previousId) deleteImages([previousId]);
+
+    renderSetView(setId, getSetViewHandlers());
+}
+
+function handleRemoveImage(cardId, field) {
+    const setId = getState().activeSetId;
+    const imageId = getCardImage(getCard(setId, cardId), field);
+    if (!imageId) return;
+
+    setCardImage(setId, cardId, field, null);
+    saveState();
+    deleteImages([imageId]);
+
+    renderSetView(setId, getSetViewHandlers());
+}
+
+async function handleToggleRecording(cardId, field) {
+    // Clicking any record button while recording stops and keeps the current one
+    if (activeRecording) {
+        finishRecording();
+        return;
+    }
+
+    if (!isRecordingSupported()) {
+        alert('Recording is not supported here. You can attach an audio file instead.');
+        return;
+    }
+
+    stopTTS();
+    activeRecording = { cardId, field };
+    renderRecordingButton(cardId, field, true);
+
+    if (!await startRecording()) {
+        activeRecording = null;
+        renderRecordingButton(cardId, field, false);
+        alert('Could not access the microphone.');
+    }
+}
+
+// Stop the recording in progress, if any, and attach it to its card
+async function finishRecording() {
+    if (!activeRecording) return;
+
+    const { cardId, field } = activeRecording;
+    activeRecording = null;
+    renderRecordingButton(cardId, field, false);
+
+    const blob = await stopRecording();
+    if (blob) attachRecording(cardId, field, blob);
+}
+
+async function handlePickAudio(cardId, field) {
+    const file = await uploadAudio();
+    if (file) handleAttachAudio(cardId, field, file);
+}
+
+function handleAttachAudio(cardId, field, file) {
+    if (!file.type.startsWith('audio/')) {
+        alert('Please choose an audio file.');
+        return;
+    }
+    if (file.size > MAX_AUDIO_BYTES) {
+        alert('Audio files must be 10 MB or smaller.');
+        return;
+    }
+
+    attachRecording(cardId, field, file);
+}
+
+async function attachRecording(cardId, field, blob) {
+    const setId = getState().activeSetId;
+    const card = getCard(setId, cardId);
+    if (!card) return;
+
+    const recordingId = await saveRecording(blob);
+    if (!recordingId) {
+        alert('Could not save the recording.');
+        return;
+    }
+
+    const previousId = getCardRecording(card, field);
+    setCardRecording(setId, cardId, field, recordingId);
+    saveState();
+    if (previousId) deleteRecordings([previousId]);
+
+    renderSetView(setId, getSetViewHandlers());
+}
+
+function handlePlayRecording(cardId, field) {
+    const card = getCard(getState().activeSetId, cardId);
+    if (card) speakCardSide(card, field, card[field]);
+}
+
+function handleRemoveRecording(cardId, field) {
+    const setId = getState().activeSetId;
+    const recordingId = getCardRecording(getCard(setId, cardId), field);
+    if (!recordingId) return;
+
+    setCardRecording(setId, cardId, field, null);
+    saveState();
+    deleteRecordings([recordingId]);
+
+    renderSetView(setId, getSetViewHandlers());
+}
+
+// Cloze cards are written as one text field, without a definition
+function updateAddCardForm() {
+    const isCloze = document.getElementById('addCardType')?.value === CARD_TYPES.CLOZE;
+    const termLabel = document.getElementById('addCardTermLabel');
+    const termInput = document.getElementById('addCardTermInput');
+    const defInput = document.getElementById('addCardDefInput');
+
+    if (termLabel) termLabel.textContent = isCloze ? 'Text' : 'Term';
+    if (termInput) {
+        termInput.placeholder = isCloze ? 'e.g., The {{c1::mitochondria}} produces energy' : 'e.g., Photosynthesis';
+    }
+    if (defInput) defInput.required = !isCloze;
+    document.getElementById('addCardDefGroup')?.classList.toggle('hidden', isCloze);
+    document.getElementById('addCardAltGroup')?.classList.toggle('hidden', isCloze);
+    document.getElementById('addCardHintGroup')?.classList.toggle('hidden', isCloze);
+    document.getElementById('addCardClozeHint')?.classList.toggle('hidden', !isCloze);
 }
 
 // ============================================================
@@ -537,6 +1293,22 @@ function shuffleFlashcards() {
     updateFlashcardDisplay();
 }
 
+// Speak whichever side is face up
+function speakCurrentFlashcard() {
+    const set = getActiveSet();
+    if (!set || set.cards.length === 0) return;
+
+    const card = set.cards[flashcardState.cardOrder[flashcardState.currentIndex]];
+    if (!card) return;
+
+    const side = flashcardState.currentSide;
+    if (flashcardState.isFlipped) {
+        speakCardSide(card, getAnswerField(card, side), getAnswerText(card, side));
+    } else {
+        speakCardSide(card, getPromptField(card, side), getPromptText(card, side));
+    }
+}
+
 function updateFlashcardDisplay() {
     const set = getActiveSet();
     if (!set) return;
@@ -551,8 +1323,9 @@ function updateFlashcardDisplay() {
 
     if (!card) return;
 
-    if (front) front.textContent = card.term;
-    if (back) back.textContent = card.definition;
+    flashcardState.currentSide = resolveAnswerSide(flashcardState.answerWith);
+    if (front) front.textContent = getPromptText(card, flashcardState.currentSide);
+    if (back) back.textContent = getAnswerText(card, flashcardState.currentSide);
     if (counter) counter.textContent = `${flashcardState.currentIndex + 1} / ${set.cards.length}`;
     if (flashcard) flashcard.classList.remove('flipped');
 }
@@ -606,12 +1379,6 @@ async function handleWordClick(word, x, y) {
 // ============================================================
 
 function handleCreateSet(name) {
-    const allSets = getAllSets();
-    if (Object.keys(allSets).length >= 50) {
-        alert('Maximum 50 sets reached!');
-        return null;
-    }
-
     const set = createSet(name);
     addSet(set);
     saveState();
@@ -637,8 +1404,12 @@ function handleDeleteCurrentSet() {
         clearLearnSession();
     }
 
+    const imageIds = getCardImageIds(set?.cards || []);
+    const recordingIds = getCardRecordingIds(set?.cards || []);
     deleteSetFromState(setId);
     saveState();
+    deleteImages(imageIds);
+    deleteRecordings(recordingIds);
     navigateToHome();
 }
 
@@ -646,102 +1417,578 @@ function handleDeleteCurrentSet() {
 // BULK IMPORT HANDLER
 // ============================================================
 
-function handleBulkImport() {
-    const text = document.getElementById('importText')?.value?.trim();
-    const delimiter = document.getElementById('importDelimiter')?.value;
+// Rows parsed from the pasted text, as edited in the preview: { term, definition, error, clozeCount }
+let importRows = [];
+let importRowsText = '';
+let importPreviewTimer = null;
 
-    if (!text) {
-        alert('Please paste some text to import.');
-        return;
+// Wait for a pause in typing before re-reading a large paste
+const IMPORT_PREVIEW_DELAY_MS = 200;
+
+const CARD_SEPARATORS = { newline: '\n', semicolon: ';' };
+
+// Custom separators may spell line breaks and tabs as \n and \t, the way Quizlet shows them
+function readCustomSeparator(id) {
+    return (document.getElementById(id)?.value || '').replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+}
+
+function getImportSeparators() {
+    const delimiterChoice = document.getElementById('importDelimiter')?.value || 'auto';
+    const cardChoice = document.getElementById('importCardSeparator')?.value || 'newline';
+
+    document.getElementById('importCustomDelimiter')?.classList.toggle('hidden', delimiterChoice !== 'custom');
+    document.getElementById('importCustomCardSeparator')?.classList.toggle('hidden', cardChoice !== 'custom');
+
+    // An empty custom box falls back to the defaults until something is typed
+    let delimiter = delimiterChoice === 'custom' ? readCustomSeparator('importCustomDelimiter') || 'auto' : delimiterChoice;
+    if (delimiter === '\t') delimiter = 'tab';
+    if (delimiter === '\n') delimiter = 'newline';
+
+    const cardSeparator = cardChoice === 'custom'
+        ? readCustomSeparator('importCustomCardSeparator') || CARD_SEPARATORS.newline
+        : CARD_SEPARATORS[cardChoice];
+
+    return { delimiter, cardSeparator };
+}
+
+function refreshImportPreview() {
+    clearTimeout(importPreviewTimer);
+    importPreviewTimer = null;
+
+    const text = document.getElementById('importText')?.value || '';
+    const { delimiter, cardSeparator } = getImportSeparators();
+    importRows = parseImportText(text, delimiter, cardSeparator);
+    importRowsText = text;
+
+    if (document.getElementById('importSwap')?.checked) {
+        importRows = importRows.map(swapImportRow);
     }
+    renderImportTable();
+}
 
-    const pairs = parseImportText(text, delimiter);
+function scheduleImportPreview() {
+    clearTimeout(importPreviewTimer);
+    importPreviewTimer = setTimeout(refreshImportPreview, IMPORT_PREVIEW_DELAY_MS);
+}
 
-    if (pairs.length === 0) {
-        alert('No valid pairs found.');
-        return;
+function renderImportTable() {
+    renderImportPreview(importRows, {
+        onEdit: handleImportRowEdit,
+        onRemove: handleImportRowRemove
+    });
+    renderImportSummary();
+}
+
+function renderImportSummary() {
+    const summary = document.getElementById('importPreviewSummary');
+    if (!summary) return;
+
+    const validRows = importRows.filter(row => !row.error);
+    const cardCount = validRows.reduce((sum, row) => sum + Math.max(row.clozeCount, 1), 0);
+    const problemCount = importRows.length - validRows.length;
+
+    summary.textContent = importRows.length === 0 ? '' : [
+        `${cardCount} card${cardCount === 1 ? '' : 's'} ready`,
+        problemCount > 0 ? `${problemCount} row${problemCount === 1 ? '' : 's'} with problems will be skipped` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Work out whether a parsed row can become cards
+ * @param {Object} row - { term, definition, separatorMissing }
+ * @returns {Object} The row with error and clozeCount filled in
+ */
+function describeImportRow(row) {
+    const clozeCount = getClozeIndices(row.term).length;
+    let error = null;
+
+    if (row.separatorMissing) {
+        error = 'Separator not found';
+    } else if (clozeCount === 0 && !row.term.trim()) {
+        error = 'Missing term';
+    } else if (clozeCount === 0 && !row.definition.trim()) {
+        error = 'Missing definition';
     }
 
-    if (pairs.length > 500) {
-        alert(`Too many cards (${pairs.length}). Max 500.`);
+    return { ...row, clozeCount, error };
+}
+
+// Cloze rows have no definition to swap with
+function swapImportRow(row) {
+    return row.clozeCount > 0 ? row : describeImportRow({ ...row, term: row.definition, definition: row.term });
+}
+
+function handleImportRowEdit(index, field, value) {
+    // Once edited by hand, how the line was split no longer matters
+    const { separatorMissing, ...row } = importRows[index];
+    importRows[index] = describeImportRow({ ...row, [field]: value });
+
+    renderImportRowState(index, importRows[index]);
+    renderImportSummary();
+}
+
+function handleImportRowRemove(index) {
+    importRows.splice(index, 1);
+    renderImportTable();
+}
+
+function handleImportSwap() {
+    importRows = importRows.map(swapImportRow);
+    renderImportTable();
+}
+
+function handleOpenBulkImport() {
+    showModal('bulkImportModal');
+    document.getElementById('importText').value = '';
+    refreshImportPreview();
+}
+
+function handleBulkImport() {
+    // Pick up text typed since the last preview
+    const text = document.getElementById('importText')?.value || '';
+    if (importPreviewTimer || text !== importRowsText) refreshImportPreview();
+
+    if (!text.trim()) {
+        alert('Please paste some text to import.');
         return;
     }
 
-    const previewCount = Math.min(5, pairs.length);
-    let preview = `Found ${pairs.length} cards:\n\n`;
-    for (let i = 0; i < previewCount; i++) {
-        preview += `${i + 1}. ${pairs[i].term} → ${pairs[i].definition.substring(0, 30)}...\n`;
+    const validRows = importRows.filter(row => !row.error);
+    if (validRows.length === 0) {
+        alert('No valid pairs found. Check the separators or fix the highlighted rows.');
+        return;
     }
-    preview += '\nImport these cards?';
 
-    if (confirm(preview)) {
-        const setId = getState().activeSetId;
-        pairs.forEach((pair, i) => {
-            const card = createCard(pair.term, pair.definition);
-            try {
-                addCardToSet(setId, card);
-            } catch {
-                // Max cards reached
-            }
-        });
+    // Each cloze row becomes one card per cloze number
+    const cards = validRows.flatMap(row =>
+        row.clozeCount > 0 ? createClozeCards(row.term.trim()) : [createCard(row.term.trim(), row.definition.trim())]
+    );
 
-        saveState();
+    const problemRows = importRows.length - validRows.length;
+    const setId = getState().activeSetId;
+
+    addCardsCheckingDuplicates(setId, cards, (result) => {
         hideModal('bulkImportModal');
         document.getElementById('importText').value = '';
+        importRows = [];
+        importRowsText = '';
         navigateToSetView(setId);
-        alert(`Added ${pairs.length} cards!`);
-    }
+        alert(`${describeAddedCards(result)}${problemRows > 0 ? ` Left out ${problemRows} row${problemRows === 1 ? '' : 's'} with problems.` : ''}`);
+    });
 }
 
-function parseImportText(text, delimiter) {
-    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l);
-    const pairs = [];
+/**
+ * Split pasted text into rows, keeping the ones that can't become cards
+ * so the preview can point them out
+ * @param {string} text
+ * @param {string} delimiter - Between term and definition: 'auto', 'tab', 'newline' or the separator itself
+ * @param {string} cardSeparator - Between cards
+ * @returns {Array<Object>} { term, definition, error, clozeCount } per row
+ */
+function parseImportText(text, delimiter, cardSeparator = '\n') {
+    const byLine = cardSeparator === '\n';
+    // Records keep their outer whitespace so a leading separator still marks an empty term
+    const records = (byLine ? text.split(/\r?\n/) : text.split(cardSeparator)).filter(r => r.trim());
+    const rows = [];
 
     let actualDelim = delimiter;
     if (delimiter === 'auto') {
-        actualDelim = detectDelimiter(text);
+        // Cloze syntax is full of colons, so leave those records out of detection
+        actualDelim = detectDelimiter(records.filter(r => !hasCloze(r)));
     }
 
-    if (actualDelim === 'newline') {
-        for (let i = 0; i < lines.length - 1; i += 2) {
-            if (lines[i] && lines[i + 1]) {
-                pairs.push({ term: lines[i], definition: lines[i + 1] });
+    if (actualDelim === 'newline' && byLine) {
+        let term = null;
+        records.map(r => r.trim()).forEach(line => {
+            if (hasCloze(line)) {
+                rows.push({ term: line, definition: '' });
+            } else if (term === null) {
+                term = line;
+            } else {
+                rows.push({ term, definition: line });
+                term = null;
             }
-        }
-    } else if (actualDelim === 'tab') {
-        lines.forEach(line => {
-            const parts = line.split('\t');
-            if (parts.length >= 2) {
-                pairs.push({ term: parts[0].trim(), definition: parts.slice(1).join('\t').trim() });
+        });
+        if (term !== null) rows.push({ term, definition: '' });
+    } else if (byLine && (actualDelim === 'tab' || actualDelim === ',')) {
+        // Quoted fields may hold the delimiter or line breaks; later fields stay in the definition
+        const separator = actualDelim === 'tab' ? '\t' : ',';
+        parseCSV(text, separator).forEach(row => {
+            const line = row.join(separator).trim();
+            if (!line) return;
+            if (hasCloze(line)) {
+                rows.push({ term: line, definition: '' });
+            } else if (row.length < 2) {
+                rows.push({ term: line, definition: '', separatorMissing: true });
+            } else {
+                rows.push({ term: row[0].trim(), definition: row.slice(1).join(separator).trim() });
             }
         });
     } else {
-        lines.forEach(line => {
-            const idx = line.indexOf(actualDelim);
-            if (idx > 0) {
-                pairs.push({
-                    term: line.substring(0, idx).trim(),
-                    definition: line.substring(idx + 1).trim()
-                });
+        const separator = { tab: '\t', newline: '\n' }[actualDelim] ?? actualDelim;
+        records.forEach(record => {
+            if (hasCloze(record)) {
+                rows.push({ term: record.trim(), definition: '' });
+                return;
             }
+            const idx = record.indexOf(separator);
+            rows.push(idx < 0
+                ? { term: record.trim(), definition: '', separatorMissing: true }
+                : { term: record.substring(0, idx).trim(), definition: record.substring(idx + separator.length).trim() });
         });
     }
 
-    return pairs.filter(p => p.term && p.definition);
+    return rows.map(describeImportRow);
 }
 
-function detectDelimiter(text) {
-    const lines = text.split(/\n/).filter(l => l.trim());
+function detectDelimiter(records) {
     const candidates = [':', ';', ',', '\t'];
 
     for (const char of candidates) {
-        const hits = lines.filter(l => l.includes(char)).length;
-        if (hits > lines.length * 0.5) return char === '\t' ? 'tab' : char;
+        const hits = records.filter(r => r.includes(char)).length;
+        if (hits > records.length * 0.5) return char === '\t' ? 'tab' : char;
     }
 
     return 'newline';
 }
 
+// ============================================================
+// CSV HANDLERS
+// ============================================================
+
+// File being imported: { text, rows, columns, mapping }
+let csvImport = null;
+
+async function handleImportCsv() {
+    const text = await uploadCSV();
+    if (!text) return;
+
+    const delimiter = detectCSVDelimiter(text);
+    const rows = parseCSV(text, delimiter);
+    if (rows.length === 0) {
+        alert('This file has no rows to import.');
+        return;
+    }
+
+    csvImport = { text };
+    const delimiterSelect = document.getElementById('csvDelimiter');
+    if (delimiterSelect) delimiterSelect.value = delimiter === '\t' ? 'tab' : delimiter;
+    const headerToggle = document.getElementById('csvHasHeader');
+    if (headerToggle) headerToggle.checked = isHeaderRow(rows[0]);
+
+    hideModal('bulkImportModal');
+    hideModal('learnSettingsModal');
+    refreshCsvImport();
+    showModal('csvImportModal');
+}
+
+function getCsvDelimiter() {
+    const value = document.getElementById('csvDelimiter')?.value || ',';
+    return value === 'tab' ? '\t' : value;
+}
+
+// Read the file again with the chosen delimiter and header setting, and guess the mapping afresh
+function refreshCsvImport() {
+    if (!csvImport) return;
+
+    const rows = parseCSV(csvImport.text, getCsvDelimiter());
+    const hasHeader = document.getElementById('csvHasHeader')?.checked || false;
+    const header = hasHeader ? rows[0] || [] : [];
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+    csvImport.rows = hasHeader ? rows.slice(1) : rows;
+    csvImport.columns = Array.from({ length: width }, (_, i) => ({
+        name: header[i]?.trim() || `Column ${i + 1}`,
+        sample: csvImport.rows[0]?.[i] || ''
+    }));
+    csvImport.mapping = guessColumnMapping(Array.from({ length: width }, (_, i) => header[i] || ''), hasHeader);
+
+    renderCsvImport();
+}
+
+function renderCsvImport() {
+    renderCsvColumnMapping(csvImport.columns, csvImport.mapping, { onChange: handleCsvMappingChange });
+
+    const { cards, skipped } = buildCardsFromRows(csvImport.rows, csvImport.mapping);
+    const summary = document.getElementById('csvImportSummary');
+    if (summary) {
+        summary.textContent = `${cards.length} card(s) from ${csvImport.rows.length} row(s)` +
+            (skipped > 0 ? `; ${skipped} row(s) without a term or definition will be skipped.` : '.');
+    }
+}
+
+function handleCsvMappingChange(index, field) {
+    // Each field comes from one column, so picking it elsewhere clears the old column
+    csvImport.mapping = csvImport.mapping.map((current, i) => {
+        if (i === index) return field;
+        return field && current === field ? CSV_FIELDS.IGNORE : current;
+    });
+    renderCsvImport();
+}
+
+function handleConfirmCsvImport() {
+    if (!csvImport) return;
+
+    const { cards } = buildCardsFromRows(csvImport.rows, csvImport.mapping);
+    if (cards.length === 0) {
+        alert('No cards to import. Map a column to Term and one to Definition.');
+        return;
+    }
+
+    const setId = getState().activeSetId;
+    addCardsCheckingDuplicates(setId, cards, (result) => {
+        csvImport = null;
+        hideModal('csvImportModal');
+        navigateToSetView(setId);
+        alert(describeAddedCards(result));
+    });
+}
+
+function handleCloseCsvImport() {
+    csvImport = null;
+    hideModal('csvImportModal');
+}
+
+function handleExportCsv() {
+    const set = getActiveSet();
+    if (!set) return;
+
+    // The byte order mark makes Excel read the file as UTF-8
+    const blob = new Blob(['\uFEFF', exportSetToCSV(set)], { type: 'text/csv' });
+    downloadBlob(blob, `${set.name.replace(/[^a-z0-9]/gi, '_')}.csv`);
+}
+
+// ============================================================
+// DUPLICATE HANDLERS
+// ============================================================
+
+// Cards waiting on a decision about duplicates: { setId, entries, actions, onDone }
+let pendingDuplicates = null;
+
+/**
+ * Add cards to a set, first asking what to do with any that are already in it
+ * @param {string} setId
+ * @param {Array<Object>} cards - New cards (cloze siblings together)
+ * @param {Function} onDone - Called with { added, updated, skipped } once saved
+ */
+function addCardsCheckingDuplicates(setId, cards, onDone) {
+    const entries = findIncomingDuplicates(getSet(setId)?.cards || [], cards);
+    const actions = entries.map(entry => entry.existing ? DUPLICATE_ACTIONS.SKIP : DUPLICATE_ACTIONS.KEEP_BOTH);
+
+    if (!entries.some(entry => entry.existing)) {
+        onDone(applyIncomingCards(setId, entries, actions));
+        return;
+    }
+
+    pendingDuplicates = { setId, entries, actions, onDone };
+    document.getElementById('duplicateApplyAll').value = '';
+    renderPendingDuplicates();
+    showModal('duplicateImportModal');
+}
+
+function applyIncomingCards(setId, entries, actions) {
+    const result = { added: 0, updated: 0, skipped: 0 };
+
+    entries.forEach((entry, index) => {
+        const action = actions[index];
+        if (action === DUPLICATE_ACTIONS.SKIP) {
+            result.skipped++;
+        } else if (action === DUPLICATE_ACTIONS.OVERWRITE) {
+            updateCard(setId, entry.existing.uuid, { definition: entry.cards[0].definition });
+            result.updated++;
+        } else {
+            entry.cards.forEach(card => addCardToSet(setId, card));
+            result.added += entry.cards.length;
+        }
+    });
+
+    saveState();
+    return result;
+}
+
+// "Added 12 cards! Updated 2 definitions. Skipped 3 duplicates."
+function describeAddedCards(result) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    return [
+        `Added ${plural(result.added, 'card')}!`,
+        result.updated > 0 ? `Updated ${plural(result.updated, 'definition')}.` : '',
+        result.skipped > 0 ? `Skipped ${plural(result.skipped, 'duplicate')}.` : ''
+    ].filter(Boolean).join(' ');
+}
+
+function renderPendingDuplicates() {
+    const { entries, actions } = pendingDuplicates;
+    const items = entries
+        .map((entry, index) => ({ ...entry, index, action: actions[index] }))
+        .filter(item => item.existing);
+    renderDuplicateImportList(items, { onChange: handleDuplicateActionChange });
+}
+
+function handleDuplicateActionChange(index, action) {
+    if (!pendingDuplicates) return;
+    pendingDuplicates.actions[index] = action;
+    document.getElementById('duplicateApplyAll').value = '';
+}
+
+function handleDuplicateApplyAll() {
+    const action = document.getElementById('duplicateApplyAll')?.value;
+    if (!pendingDuplicates || !action) return;
+
+    // Cloze notes have no single definition, so they're skipped instead
+    pendingDuplicates.actions = pendingDuplicates.entries.map((entry, index) => {
+        if (!entry.existing) return pendingDuplicates.actions[index];
+        return action === DUPLICATE_ACTIONS.OVERWRITE && !canOverwriteDefinition(entry) ? DUPLICATE_ACTIONS.SKIP : action;
+    });
+    renderPendingDuplicates();
+    document.getElementById('duplicateApplyAll').value = action;
+}
+
+function handleConfirmDuplicates() {
+    if (!pendingDuplicates) return;
+
+    const { setId, entries, actions, onDone } = pendingDuplicates;
+    pendingDuplicates = null;
+    hideModal('duplicateImportModal');
+    onDone(applyIncomingCards(setId, entries, actions));
+}
+
+// Nothing is added; the import or add-card form stays open to adjust
+function handleCloseDuplicates() {
+    pendingDuplicates = null;
+    hideModal('duplicateImportModal');
+}
+
+function handleFindDuplicates() {
+    renderSetDuplicates();
+    showModal('duplicatesModal');
+}
+
+function renderSetDuplicates() {
+    const groups = findDuplicateGroups(getActiveSet()?.cards || []);
+    renderDuplicateGroups(groups, {
+        onMerge: (groupIndex) => {
+            mergeDuplicateGroup(groups[groupIndex].cards);
+            afterDuplicatesMerged();
+        }
+    });
+    return groups;
+}
+
+function mergeDuplicateGroup(cards) {
+    const setId = getState().activeSetId;
+    const { card, removed } = mergeDuplicateCards(cards);
+    const { uuid, ...fields } = card;
+
+    updateCard(setId, uuid, fields);
+    removed.forEach(other => deleteCardFromState(setId, other.uuid));
+
+    // Media the merged card took over is still in use
+    const keptImages = new Set(getCardImageIds([card]));
+    const keptRecordings = new Set(getCardRecordingIds([card]));
+    deleteImages(getCardImageIds(removed).filter(id => !keptImages.has(id)));
+    deleteRecordings(getCardRecordingIds(removed).filter(id => !keptRecordings.has(id)));
+}
+
+function handleMergeAllDuplicates() {
+    const groups = findDuplicateGroups(getActiveSet()?.cards || []);
+    if (groups.length === 0) return;
+
+    const removedCount = groups.reduce((sum, group) => sum + group.cards.length - 1, 0);
+    if (!confirm(`Merge ${groups.length} group(s) of duplicates? ${removedCount} card(s) will be removed.`)) return;
+
+    groups.forEach(group => mergeDuplicateGroup(group.cards));
+    afterDuplicatesMerged();
+}
+
+function afterDuplicatesMerged() {
+    const setId = getState().activeSetId;
+    saveState();
+
+    // Same as deleting a card: keep the carousel within the smaller set
+    const set = getSet(setId);
+    flashcardState.cardOrder = set ? set.cards.map((_, i) => i) : [];
+    flashcardState.currentIndex = Math.min(flashcardState.currentIndex, Math.max(flashcardState.cardOrder.length - 1, 0));
+
+    renderSetView(setId, getSetViewHandlers());
+    renderSetDuplicates();
+}
+
+// ============================================================
+// PRINT HANDLERS
+// ============================================================
+
+// Pictures for the set being printed, as data URLs: the printout is a separate document
+let printImages = new Map();
+
+async function handleOpenPrint() {
+    const set = getActiveSet();
+    if (!set) return;
+
+    if (set.cards.length === 0) {
+        alert('Add some cards before printing.');
+        return;
+    }
+
+    const imageIds = getCardImageIds(set.cards);
+    const urls = await Promise.all(imageIds.map(getImageDataURL));
+    printImages = new Map(imageIds.map((id, i) => [id, urls[i]]).filter(([, url]) => url));
+
+    showModal('printModal');
+    refreshPrintPreview();
+}
+
+function getPrintOptions() {
+    return {
+        layout: document.getElementById('printLayout')?.value || PRINT_LAYOUTS.FLASHCARDS,
+        pageSize: document.getElementById('printPageSize')?.value || 'A4',
+        flipEdge: document.getElementById('printFlipEdge')?.value || FLIP_EDGES.LONG,
+        answerKey: document.getElementById('printAnswerKey')?.checked ?? true,
+        images: printImages
+    };
+}
+
+function refreshPrintPreview() {
+    const set = getActiveSet();
+    if (!set) return;
+
+    const options = getPrintOptions();
+    document.getElementById('printFlipEdgeRow')?.classList.toggle('hidden', options.layout !== PRINT_LAYOUTS.FLASHCARDS);
+    document.getElementById('printAnswerKeyRow')?.classList.toggle('hidden', options.layout !== PRINT_LAYOUTS.WORKSHEET);
+
+    const preview = document.getElementById('printPreview');
+    if (preview) preview.srcdoc = buildPrintDocument(set, options);
+}
+
+function handlePrint() {
+    document.getElementById('printPreview')?.contentWindow?.print();
+}
+
+async function handleSavePdf() {
+    const set = getActiveSet();
+    if (!set) return;
+
+    // Outside Electron the print dialog's "Save as PDF" does the same job
+    if (!canSavePDF()) {
+        handlePrint();
+        return;
+    }
+
+    const options = getPrintOptions();
+    const filename = `${set.name.replace(/[^a-z0-9]/gi, '_')}_${options.layout}.pdf`;
+    try {
+        const savedPath = await savePDF(buildPrintDocument(set, options), filename);
+        if (savedPath) alert(`Saved to ${savedPath}`);
+    } catch (e) {
+        console.error('Failed to save PDF:', e);
+        alert(`The PDF could not be saved (${e.message}).`);
+    }
+}
+
+function handleClosePrint() {
+    printImages = new Map();
+    hideModal('printModal');
+}
+
 // ============================================================
 // SETTINGS HANDLERS
 // ============================================================
@@ -784,13 +2031,65 @@ function handleToggleSM2() {
     if (checkbox) {
         checkbox.checked = getFeatures().spacedRepetition;
     }
+
+    // Switch the current question between reveal-and-grade and answer modes
+    refreshCurrentQuestion();
+}
+
+function handleChangeAnswerWith(e) {
+    setAnswerWith(e.target.value);
+    saveState();
+
+    // Also applies to the session in progress
+    const session = getLearnSession();
+    if (session) {
+        session.answerWith = e.target.value;
+        session.currentAnswerSide = resolveAnswerSide(session.answerWith);
+        setLearnSession(session);
+        saveLearnSession(session);
+        refreshCurrentQuestion();
+    }
 }
 
-function handleExportSet() {
+// Re-render the current question after a Learn setting changes
+function refreshCurrentQuestion() {
+    const session = getLearnSession();
+    const set = getActiveSet();
+    if (getCurrentSection() === SECTIONS.LEARN && session && set &&
+        session.currentQuestionId && !learnState.pendingWritten) {
+        learnState.answerRevealed = false;
+        resetLearnUI();
+        renderLearnMode(session, set, getLearnHandlers());
+    }
+}
+
+function handleToggleQuestionType(e) {
+    const input = e.target;
+    const enabled = getSettings().questionTypes || {};
+    const othersEnabled = Object.values(QUESTION_TYPES)
+        .some(type => type !== input.dataset.questionType && enabled[type]);
+
+    // At least one question type must stay on
+    if (!input.checked && !othersEnabled) {
+        input.checked = true;
+        return;
+    }
+
+    updateQuestionTypes({ [input.dataset.questionType]: input.checked });
+    saveState();
+}
+
+async function handleExportSet() {
     const set = getActiveSet();
     if (!set) return;
 
-    const json = exportSetToJSON(set);
+    // Recordings make the file much larger, so they're only embedded on request
+    const recordingIds = getCardRecordingIds(set.cards);
+    const recordings = recordingIds.length > 0 && confirm(`Include ${recordingIds.length} audio recording(s) in the export?`)
+        ? await exportRecordings(recordingIds)
+        : null;
+
+    const json = exportSetToJSON(set, recordings);
     const filename = `${set.name.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.json`;
     downloadJSON(json, filename);
 }
@@ -806,16 +2105,135 @@ async function handleImportSet() {
     }
 
     const newSet = createSet(data.name + ' (imported)');
+    const clozeNotes = new Map(); // source text -> cards rebuilt from it
+
     data.cards.forEach(c => {
-        const card = createCard(c.term, c.definition);
+        let card;
+        if (c.type === CARD_TYPES.CLOZE) {
+            // Rebuild the whole note once, then place each sibling as it appears
+            if (!clozeNotes.has(c.cloze.text)) {
+                clozeNotes.set(c.cloze.text, createClozeCards(c.cloze.text));
+            }
+            card = clozeNotes.get(c.cloze.text).find(n => n.cloze.index === c.cloze.index);
+        }
+        card = card || createCard(c.term, c.definition);
         if (c.starred) card.starred = true;
+        if (c.alternatives) card.alternatives = c.alternatives;
+        if (c.hint) card.hint = c.hint;
         newSet.cards.push(card);
     });
 
+    // Embedded recordings are stored again under new IDs
+    for (const [index, c] of data.cards.entries()) {
+        for (const [field, exportedId] of Object.entries(c.audio || {})) {
+            if (field !== 'term' && field !== 'definition') continue;
+            const recordingId = data.recordings[exportedId] && await importRecording(data.recordings[exportedId]);
+            if (recordingId) {
+                newSet.cards[index].audio = { ...newSet.cards[index].audio, [field]: recordingId };
+            }
+        }
+    }
+
     addSet(newSet);
     saveState();
     navigateToSetView(newSet.uuid);
-    alert(`Imported "${data.name}" with ${data.cards.length} cards!`);
+    alert(`Imported "${data.name}" with ${newSet.cards.length} cards!`);
+}
+
+async function handleExportAnki() {
+    const set = getActiveSet();
+    if (!set) return;
+
+    const includeHistory = confirm('Include your review progress, so Anki keeps the same schedule?');
+
+    const media = new Map();
+    for (const id of getCardImageIds(set.cards)) {
+        const blob = await getImage(id);
+        if (blob) media.set(id, blob);
+    }
+    for (const id of getCardRecordingIds(set.cards)) {
+        const blob = await getRecording(id);
+        if (blob) media.set(id, blob);
+    }
+
+    try {
+        const bytes = await buildAnkiPackage(set, media, { includeHistory });
+        downloadBlob(new Blob([bytes], { type: 'application/zip' }), `${set.name.replace(/[^a-z0-9]/gi, '_')}.apkg`);
+    } catch (e) {
+        console.error('Failed to export Anki package:', e);
+        alert(`The Anki package could not be created (${e.message}).`);
+    }
+}
+
+// Opened package waiting for its import options to be confirmed
+let pendingAnkiPackage = null;
+
+async function handleImportAnki() {
+    const file = await uploadAnkiPackage();
+    if (!file) return;
+
+    try {
+        pendingAnkiPackage = await readAnkiPackage(await file.arrayBuffer());
+    } catch (e) {
+        console.error('Failed to read Anki package:', e);
+        alert(e.message);
+        return;
+    }
+
+    if (pendingAnkiPackage.cards.length === 0) {
+        pendingAnkiPackage = null;
+        alert('This Anki package has no cards.');
+        return;
+    }
+
+    const historyToggle = document.getElementById('ankiIncludeHistory');
+    if (historyToggle) historyToggle.checked = false;
+
+    renderAnkiImportOptions(summarizeAnkiPackage(pendingAnkiPackage));
+    hideModal('learnSettingsModal');
+    showModal('ankiImportModal');
+}
+
+async function handleConfirmAnkiImport() {
+    const pkg = pendingAnkiPackage;
+    if (!pkg) return;
+
+    const fieldMapping = {};
+    document.querySelectorAll('#ankiNoteTypes select[data-note-type]').forEach(select => {
+        const mapping = fieldMapping[select.dataset.noteType] || { term: 0, definition: -1, hint: -1 };
+        mapping[select.dataset.role] = Number(select.value);
+        fieldMapping[select.dataset.noteType] = mapping;
+    });
+
+    const { sets, media } = buildAnkiSets(pkg, {
+        fieldMapping,
+        includeHistory: document.getElementById('ankiIncludeHistory')?.checked || false
+    });
+
+    // Package media is stored like uploaded images and recordings
+    for (const { card, kind, field, blob } of media) {
+        const id = kind === 'images' ? await saveImage(blob) : await saveRecording(blob);
+        if (id) card[kind] = { ...card[kind], [field]: id };
+    }
+
+    sets.forEach(set => addSet(set));
+    saveState();
+
+    pendingAnkiPackage = null;
+    hideModal('ankiImportModal');
+    if (sets.length === 1) {
+        navigateToSetView(sets[0].uuid);
+    } else {
+        navigateToHome();
+    }
+
+    const cardCount = sets.reduce((sum, set) => sum + set.cards.length, 0);
+    alert(`Imported ${sets.length} set(s) with ${cardCount} cards from Anki.`);
+}
+
+function handleCloseAnkiImport() {
+    pendingAnkiPackage = null;
+    hideModal('ankiImportModal');
 }
 
 function handleSaveKeyBindings() {
@@ -830,6 +2248,206 @@ function handleSaveKeyBindings() {
     hideModal('keyboardSettingsModal');
 }
 
+// ============================================================
+// BACKUP HANDLERS
+// ============================================================
+
+async function openBackupsModal() {
+    hideModal('settingsModal');
+    document.getElementById('backupsRecoveryNotice')?.classList.toggle('hidden', !getLoadFailure());
+    await refreshBackupList();
+    showModal('backupsModal');
+}
+
+async function refreshBackupList() {
+    renderBackupList(await listBackups(), getStateCounts(exportState()), {
+        onRestore: handleRestoreBackup
+    });
+}
+
+async function handleCreateBackup() {
+    const backup = await createBackup(BACKUP_REASONS.MANUAL);
+    if (!backup) {
+        alert('The backup could not be saved.');
+        return;
+    }
+    await refreshBackupList();
+}
+
+async function handleRestoreBackup(backupId) {
+    const backup = (await listBackups()).find(b => b.id === backupId);
+    if (!backup) return;
+
+    const when = new Date(backup.createdAt).toLocaleString();
+    const message = getLoadFailure()
+        ? `Restore the backup from ${when}?`
+        : `Replace your library with the backup from ${when}? Your current data will be backed up first.`;
+    if (!confirm(message)) return;
+
+    try {
+        await restoreBackup(backupId);
+    } catch (e) {
+        console.error('Failed to restore backup:', e);
+        alert(`The backup could not be restored (${e.message}).`);
+        return;
+    }
+
+    // The saved Learn session may point at cards the backup doesn't have
+    clearLearnSessionStorage();
+    clearLearnSession();
+    hideModal('backupsModal');
+    navigateToHome();
+    alert(`Restored the backup from ${when}.`);
+}
+
+async function handleStartOver() {
+    if (!confirm('Start over with an empty library? The data that failed to load will be replaced.')) return;
+
+    await discardUnreadableState();
+    hideModal('backupsModal');
+    navigateToHome();
+}
+
+// Until a backup is restored or the user starts over, there is nothing safe to go back to
+function handleCloseBackups() {
+    if (getLoadFailure()) {
+        handleStartOver();
+        return;
+    }
+    hideModal('backupsModal');
+}
+
+// Overlay clicks and Escape close modals, except during recovery from a failed load
+function dismissModals() {
+    if (getLoadFailure()) return;
+    hideAllModals();
+}
+
+// ============================================================
+// LIBRARY HANDLERS
+// ============================================================
+
+// Parsed archive waiting for the user to confirm the import
+let pendingLibrary = null;
+
+async function handleExportLibrary() {
+    const data = exportState();
+    const cards = Object.values(data.allSets).flatMap(set => set.cards);
+
+    // Recordings make the file much larger, so they're only embedded on request
+    const recordingIds = getCardRecordingIds(cards);
+    const recordings = recordingIds.length > 0 && confirm(`Include ${recordingIds.length} audio recording(s) in the export?`)
+        ? await exportRecordings(recordingIds)
+        : null;
+    // Images are part of the cards, so they're always embedded
+    const imageIds = getCardImageIds(cards);
+    const images = imageIds.length > 0 ? await exportImages(imageIds) : null;
+
+    const json = exportLibraryToJSON(data, recordings, images);
+    downloadJSON(json, `studyset_library_${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+async function handleImportLibrary() {
+    const jsonString = await uploadJSON();
+    if (!jsonString) return;
+
+    const library = importLibraryFromJSON(jsonString);
+    if (!library) {
+        alert('This file is not a StudySet library export, or it was made by a newer version.');
+        return;
+    }
+
+    pendingLibrary = library;
+    const modeSelect = document.getElementById('libraryImportMode');
+    if (modeSelect) modeSelect.value = LIBRARY_IMPORT_MODES.MERGE;
+
+    hideModal('settingsModal');
+    refreshLibraryImportPreview();
+    showModal('libraryImportModal');
+}
+
+function getLibraryImportMode() {
+    return document.getElementById('libraryImportMode')?.value || LIBRARY_IMPORT_MODES.MERGE;
+}
+
+function refreshLibraryImportPreview() {
+    if (!pendingLibrary) return;
+    renderLibraryImportPreview(planLibraryImport(exportState(), pendingLibrary, getLibraryImportMode()), pendingLibrary);
+}
+
+async function handleConfirmLibraryImport() {
+    const library = pendingLibrary;
+    if (!library) return;
+
+    const mode = getLibraryImportMode();
+    if (mode === LIBRARY_IMPORT_MODES.REPLACE &&
+        !confirm('Replace your whole library with this file? Sets that aren\'t in it will be removed.')) {
+        return;
+    }
+
+    await createBackup(BACKUP_REASONS.IMPORT);
+    const plan = planLibraryImport(exportState(), library, mode);
+
+    // Embedded media is stored again under new IDs, for the cards taken from the file
+    const importedCards = new Set(Object.values(library.allSets).flatMap(set => set.cards));
+    const importedRecordings = new Map();
+    const importedImages = new Map();
+    for (const set of Object.values(plan.data.allSets)) {
+        for (const [index, card] of set.cards.entries()) {
+            if (!importedCards.has(card) || (!card.audio && !card.images)) continue;
+
+            const audio = await restoreEmbeddedMedia(card.audio, library.recordings, importedRecordings, importRecording);
+            const images = await restoreEmbeddedMedia(card.images, library.images, importedImages, importImage);
+            set.cards[index] = { ...card, ...(audio && { audio }), ...(images && { images }) };
+        }
+    }
+
+    // Keep the Learn session only if its set is still there
+    const session = getLearnSession();
+    initializeState(plan.data);
+    if (session && plan.data.allSets[session.setId]) {
+        setLearnSession(session);
+    } else {
+        clearLearnSessionStorage();
+    }
+    saveState();
+
+    pendingLibrary = null;
+    hideModal('libraryImportModal');
+    navigateToHome();
+
+    const { totals } = plan;
+    alert(`Library imported: ${totals.setsAdded} set(s) added, ${totals.setsUpdated} updated` +
+        (totals.setsRemoved > 0 ? `, ${totals.setsRemoved} removed` : '') + '.');
+}
+
+/**
+ * Store a card's embedded media and point each side at its new ID. Media
+ * shared by several cards is stored once; sides without embedded media keep their ID.
+ * @param {Object|undefined} ids - The card's media IDs by side
+ * @param {Object} embedded - Data URLs by exported ID
+ * @param {Map} imported - New IDs by exported ID, filled in as media is stored
+ * @param {Function} importMedia - importRecording or importImage
+ * @returns {Promise<Object|null>}
+ */
+async function restoreEmbeddedMedia(ids, embedded, imported, importMedia) {
+    if (!ids) return null;
+
+    const restored = { ...ids };
+    for (const [side, exportedId] of Object.entries(ids)) {
+        if (!imported.has(exportedId)) {
+            imported.set(exportedId, embedded[exportedId] ? await importMedia(embedded[exportedId]) : null);
+        }
+        if (imported.get(exportedId)) restored[side] = imported.get(exportedId);
+    }
+    return restored;
+}
+
+function handleCloseLibraryImport() {
+    pendingLibrary = null;
+    hideModal('libraryImportModal');
+}
+
 // ============================================================
 // KEYBOARD HANDLER
 // ============================================================
@@ -852,9 +2470,13 @@ function handleKeyboard(e) {
     // Escape - close modal or exit
     if (e.key === 'Escape') {
         if (isModalOpen()) {
-            hideAllModals();
+            dismissModals();
         } else if (section === 'learnSection') {
             handleExitLearn();
+        } else if (section === SECTIONS.TEST) {
+            handleExitTest();
+        } else if (section === SECTIONS.MATCH) {
+            handleExitMatch();
         }
         return;
     }
@@ -871,11 +2493,7 @@ function handleKeyboard(e) {
             e.preventDefault();
             flipFlashcard();
         } else if (e.key.toLowerCase() === keys.listen.toLowerCase()) {
-            const set = getActiveSet();
-            if (set && set.cards.length > 0) {
-                const idx = flashcardState.cardOrder[flashcardState.currentIndex];
-                speak(set.cards[idx]?.term);
-            }
+            speakCurrentFlashcard();
         }
     }
 
@@ -884,8 +2502,11 @@ function handleKeyboard(e) {
         const features = getFeatures();
 
         if (features.spacedRepetition) {
-            // Grade keys (1-4)
-            if (e.key === keys.grade1 || e.key === '1') {
+            // Flip reveals the answer, then grade keys (1-4)
+            if (e.key === ' ' || e.key === keys.flip) {
+                e.preventDefault();
+                handleRevealAnswer();
+            } else if (e.key === keys.grade1 || e.key === '1') {
                 handleGrade(GRADES.AGAIN);
             } else if (e.key === keys.grade2 || e.key === '2') {
                 handleGrade(GRADES.HARD);
@@ -896,12 +2517,16 @@ function handleKeyboard(e) {
             }
         }
 
+        if (keys.hint && e.key.toLowerCase() === keys.hint.toLowerCase()) {
+            handleShowHint();
+        }
+
         if (e.key.toLowerCase() === keys.listen.toLowerCase()) {
             const session = getLearnSession();
             const set = getActiveSet();
             if (session && set) {
                 const card = set.cards.find(c => c.uuid === session.currentQuestionId);
-                if (card) speak(card.definition);
+                if (card) speak(getPromptText(card, session.currentAnswerSide));
             }
         }
     }
@@ -947,14 +2572,36 @@ function setupEventListeners() {
     document.getElementById('setViewLearnBtn')?.addEventListener('click', () => {
         navigateToLearnMode(getState().activeSetId, { mode: 'all' });
     });
+    document.getElementById('setViewMatchBtn')?.addEventListener('click', () => {
+        navigateToMatchMode(getState().activeSetId);
+    });
     document.getElementById('setViewStarredBtn')?.addEventListener('click', () => {
         navigateToLearnMode(getState().activeSetId, { mode: 'starred' });
     });
     document.getElementById('setViewDueBtn')?.addEventListener('click', () => {
         navigateToLearnMode(getState().activeSetId, { mode: 'due' });
     });
+    document.getElementById('setViewTestBtn')?.addEventListener('click', () => {
+        navigateToTestMode(getState().activeSetId);
+    });
     document.getElementById('setViewDeleteBtn')?.addEventListener('click', handleDeleteCurrentSet);
 
+    // Test Mode
+    document.getElementById('testExitBtn')?.addEventListener('click', handleExitTest);
+    document.getElementById('testStartBtn')?.addEventListener('click', handleStartTest);
+    document.getElementById('testSubmitBtn')?.addEventListener('click', () => handleSubmitTest());
+    document.getElementById('testPrintBtn')?.addEventListener('click', () => window.print());
+    document.getElementById('testRetakeBtn')?.addEventListener('click', () => {
+        navigateToTestMode(getState().activeSetId);
+    });
+    document.getElementById('testBackBtn')?.addEventListener('click', handleExitTest);
+
+    // Match Game
+    document.getElementById('matchExitBtn')?.addEventListener('click', handleExitMatch);
+    document.getElementById('matchStartBtn')?.addEventListener('click', handleStartMatch);
+    document.getElementById('matchPlayAgainBtn')?.addEventListener('click', handleStartMatch);
+    document.getElementById('matchBackBtn')?.addEventListener('click', handleExitMatch);
+
     // Flashcard
     document.getElementById('flashcard')?.addEventListener('click', flipFlashcard);
     document.getElementById('flashcardPrev')?.addEventListener('click', (e) => { e.stopPropagation(); prevFlashcard(); });
@@ -962,34 +2609,57 @@ function setupEventListeners() {
     document.getElementById('flashcardShuffle')?.addEventListener('click', (e) => { e.stopPropagation(); shuffleFlashcards(); });
     document.getElementById('flashcardSpeak')?.addEventListener('click', (e) => {
         e.stopPropagation();
-        const set = getActiveSet();
-        if (set && set.cards.length > 0) {
-            const idx = flashcardState.cardOrder[flashcardState.currentIndex];
-            speak(set.cards[idx]?.term);
-        }
+        speakCurrentFlashcard();
+    });
+    document.getElementById('flashcardAnswerWith')?.addEventListener('change', (e) => {
+        flashcardState.answerWith = e.target.value;
+        flashcardState.isFlipped = false;
+        updateFlashcardDisplay();
     });
 
     // Add Card Modal
     document.getElementById('setViewAddCardBtn')?.addEventListener('click', () => {
         showModal('addCardModal');
+        updateAddCardForm();
         document.getElementById('addCardTermInput').value = '';
         document.getElementById('addCardDefInput').value = '';
+        document.getElementById('addCardTermAlts').value = '';
+        document.getElementById('addCardDefAlts').value = '';
+        document.getElementById('addCardHintInput').value = '';
         document.getElementById('addCardTermInput').focus();
     });
+    document.getElementById('addCardType')?.addEventListener('change', updateAddCardForm);
     document.getElementById('addCardCloseBtn')?.addEventListener('click', () => hideModal('addCardModal'));
     document.getElementById('addCardForm')?.addEventListener('submit', (e) => {
         e.preventDefault();
         const term = document.getElementById('addCardTermInput').value.trim();
         const def = document.getElementById('addCardDefInput').value.trim();
-        if (term && def) {
-            const card = createCard(term, def);
+        const isCloze = document.getElementById('addCardType')?.value === CARD_TYPES.CLOZE;
+
+        if (isCloze && term && !hasCloze(term)) {
+            alert('Wrap the hidden text in {{c1::...}}, e.g. "The {{c1::mitochondria}} produces energy".');
+            return;
+        }
+
+        if (term && (def || isCloze)) {
+            const hint = document.getElementById('addCardHintInput').value;
+            const cards = isCloze ? createClozeCards(term) : [createCard(term, def, hint)];
+            if (!isCloze) {
+                cards[0].alternatives = {
+                    term: parseAlternatives(document.getElementById('addCardTermAlts').value),
+                    definition: parseAlternatives(document.getElementById('addCardDefAlts').value)
+                };
+            }
             try {
-                addCardToSet(getState().activeSetId, card);
-                saveState();
-                document.getElementById('addCardTermInput').value = '';
-                document.getElementById('addCardDefInput').value = '';
-                document.getElementById('addCardTermInput').focus();
-                navigateToSetView(getState().activeSetId);
+                addCardsCheckingDuplicates(getState().activeSetId, cards, () => {
+                    document.getElementById('addCardTermInput').value = '';
+                    document.getElementById('addCardDefInput').value = '';
+                    document.getElementById('addCardTermAlts').value = '';
+                    document.getElementById('addCardDefAlts').value = '';
+                    document.getElementById('addCardHintInput').value = '';
+                    document.getElementById('addCardTermInput').focus();
+                    navigateToSetView(getState().activeSetId);
+                });
             } catch (err) {
                 alert(err.message);
             }
@@ -997,16 +2667,46 @@ function setupEventListeners() {
     });
 
     // Bulk Import Modal
-    document.getElementById('bulkImportBtn')?.addEventListener('click', () => {
-        showModal('bulkImportModal');
-        document.getElementById('importText').value = '';
-    });
+    document.getElementById('bulkImportBtn')?.addEventListener('click', handleOpenBulkImport);
     document.getElementById('bulkImportCloseBtn')?.addEventListener('click', () => hideModal('bulkImportModal'));
+    document.getElementById('bulkImportCsvBtn')?.addEventListener('click', handleImportCsv);
+
+    // Duplicates
+    document.getElementById('duplicateImportCloseBtn')?.addEventListener('click', handleCloseDuplicates);
+    document.getElementById('duplicateApplyAll')?.addEventListener('change', handleDuplicateApplyAll);
+    document.getElementById('duplicateImportConfirmBtn')?.addEventListener('click', handleConfirmDuplicates);
+    document.getElementById('findDuplicatesBtn')?.addEventListener('click', handleFindDuplicates);
+    document.getElementById('duplicatesCloseBtn')?.addEventListener('click', () => hideModal('duplicatesModal'));
+    document.getElementById('mergeAllDuplicatesBtn')?.addEventListener('click', handleMergeAllDuplicates);
+
+    // Print Modal
+    document.getElementById('setViewPrintBtn')?.addEventListener('click', handleOpenPrint);
+    document.getElementById('printCloseBtn')?.addEventListener('click', handleClosePrint);
+    ['printLayout', 'printPageSize', 'printFlipEdge', 'printAnswerKey'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', refreshPrintPreview);
+    });
+    document.getElementById('printPrintBtn')?.addEventListener('click', handlePrint);
+    document.getElementById('printSavePdfBtn')?.addEventListener('click', handleSavePdf);
+
+    // CSV Import Modal
+    document.getElementById('csvImportCloseBtn')?.addEventListener('click', handleCloseCsvImport);
+    document.getElementById('csvDelimiter')?.addEventListener('change', refreshCsvImport);
+    document.getElementById('csvHasHeader')?.addEventListener('change', refreshCsvImport);
+    document.getElementById('csvImportConfirmBtn')?.addEventListener('click', handleConfirmCsvImport);
     document.getElementById('importBtn')?.addEventListener('click', handleBulkImport);
+    document.getElementById('importText')?.addEventListener('input', scheduleImportPreview);
+    ['importDelimiter', 'importCardSeparator'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', refreshImportPreview);
+    });
+    ['importCustomDelimiter', 'importCustomCardSeparator'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', scheduleImportPreview);
+    });
+    document.getElementById('importSwap')?.addEventListener('change', handleImportSwap);
 
     // Learn Mode
     document.getElementById('learnExitBtn')?.addEventListener('click', handleExitLearn);
-    document.getElementById('nextQuestionBtn')?.addEventListener('click', nextQuestion);
+    document.getElementById('nextQuestionBtn')?.addEventListener('click', handleNextQuestion);
+    document.getElementById('overrideBtn')?.addEventListener('click', handleWrittenOverride);
     document.getElementById('continueBtn')?.addEventListener('click', handleContinueLearning);
     document.getElementById('restartLearnBtn')?.addEventListener('click', () => {
         const session = getLearnSession();
@@ -1029,8 +2729,20 @@ function setupEventListeners() {
     });
     document.getElementById('learnSettingsCloseBtn')?.addEventListener('click', () => hideModal('learnSettingsModal'));
     document.getElementById('settingSM2')?.addEventListener('change', handleToggleSM2);
+    document.getElementById('settingAnswerWith')?.addEventListener('change', handleChangeAnswerWith);
+    document.getElementById('settingProgressive')?.addEventListener('change', (e) => {
+        setProgressiveRounds(e.target.checked);
+        saveState();
+    });
+    document.querySelectorAll('#learnSettingsModal input[data-question-type]').forEach(input => {
+        input.addEventListener('change', handleToggleQuestionType);
+    });
     document.getElementById('exportSetBtn')?.addEventListener('click', handleExportSet);
     document.getElementById('importSetBtn')?.addEventListener('click', handleImportSet);
+    document.getElementById('exportAnkiBtn')?.addEventListener('click', handleExportAnki);
+    document.getElementById('importAnkiBtn')?.addEventListener('click', handleImportAnki);
+    document.getElementById('exportCsvBtn')?.addEventListener('click', handleExportCsv);
+    document.getElementById('importCsvBtn')?.addEventListener('click', handleImportCsv);
     document.getElementById('keyboardSettingsBtn')?.addEventListener('click', () => {
         loadKeyboardSettingsModal();
         showModal('keyboardSettingsModal');
@@ -1046,13 +2758,30 @@ function setupEventListeners() {
         }
     });
 
+    // Backups Modal
+    document.getElementById('backupsBtn')?.addEventListener('click', openBackupsModal);
+    document.getElementById('backupsCloseBtn')?.addEventListener('click', handleCloseBackups);
+    document.getElementById('backupsStartOverBtn')?.addEventListener('click', handleStartOver);
+    document.getElementById('createBackupBtn')?.addEventListener('click', handleCreateBackup);
+
+    // Anki Import Modal
+    document.getElementById('ankiImportCloseBtn')?.addEventListener('click', handleCloseAnkiImport);
+    document.getElementById('ankiImportConfirmBtn')?.addEventListener('click', handleConfirmAnkiImport);
+
+    // Library Export/Import
+    document.getElementById('exportLibraryBtn')?.addEventListener('click', handleExportLibrary);
+    document.getElementById('importLibraryBtn')?.addEventListener('click', handleImportLibrary);
+    document.getElementById('libraryImportMode')?.addEventListener('change', refreshLibraryImportPreview);
+    document.getElementById('libraryImportConfirmBtn')?.addEventListener('click', handleConfirmLibraryImport);
+    document.getElementById('libraryImportCloseBtn')?.addEventListener('click', handleCloseLibraryImport);
+
     // Keyboard Settings Modal
     document.getElementById('keyboardSettingsCloseBtn')?.addEventListener('click', () => hideModal('keyboardSettingsModal'));
     document.getElementById('saveKeyBindingsBtn')?.addEventListener('click', handleSaveKeyBindings);
 
     // Modal overlays
     document.querySelectorAll('.modal-overlay').forEach(overlay => {
-        overlay.addEventListener('click', hideAllModals);
+        overlay.addEventListener('click', dismissModals);
     });
 
     // Global keyboard handler
@@ -1090,6 +2819,19 @@ function loadLearnSettingsModal() {
     const features = getFeatures();
     const sm2Check = document.getElementById('settingSM2');
     if (sm2Check) sm2Check.checked = features.spacedRepetition;
+
+    const answerWithSelect = document.getElementById('settingAnswerWith');
+    if (answerWithSelect) {
+        answerWithSelect.value = getLearnSession()?.answerWith || getSettings().answerWith || ANSWER_SIDES.TERM;
+    }
+
+    const progressiveCheck = document.getElementById('settingProgressive');
+    if (progressiveCheck) progressiveCheck.checked = !!getSettings().progressiveRounds;
+
+    const questionTypes = getSettings().questionTypes || {};
+    document.querySelectorAll('#learnSettingsModal input[data-question-type]').forEach(input => {
+        input.checked = !!questionTypes[input.dataset.questionType];
+    });
 }
 
 function loadKeyboardSettingsModal() {
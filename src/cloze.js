@@ -0,0 +1,76 @@
+/**
+ * cloze.js - Cloze Deletion Parsing
+ * Handles sentences with {{c1::hidden}} spans (optionally {{c1::hidden::hint}})
+ */
+
+// {{c<number>::<answer>}} or {{c<number>::<answer>::<hint>}}
+const CLOZE_PATTERN = /\{\{c(\d+)::(.+?)(?:::(.+?))?\}\}/g;
+
+// Placeholder shown for a hidden span without a hint
+const BLANK = '[...]';
+
+/**
+ * Whether text contains at least one cloze deletion
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasCloze(text) {
+    return getClozeIndices(text).length > 0;
+}
+
+/**
+ * Cloze numbers used in the text, ascending. Each one becomes a reviewable card.
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+export function getClozeIndices(text) {
+    const indices = new Set();
+    for (const match of (text || '').matchAll(CLOZE_PATTERN)) {
+        indices.add(Number(match[1]));
+    }
+    return [...indices].sort((a, b) => a - b);
+}
+
+/**
+ * Text with the spans of one cloze number blanked out and every other span shown
+ * @param {string} text - Cloze source text
+ * @param {number} index - Cloze number to hide
+ * @returns {string}
+ */
+export function buildClozePrompt(text, index) {
+    return text.replace(CLOZE_PATTERN, (_, n, answer, hint) =>
+        Number(n) === index ? (hint ? `[${hint}]` : BLANK) : answer
+    );
+}
+
+/**
+ * The hidden text for one cloze number (several spans are joined with commas)
+ * @param {string} text - Cloze source text
+ * @param {number} index - Cloze number
+ * @returns {string}
+ */
+export function getClozeAnswer(text, index) {
+    const answers = [];
+    for (const match of text.matchAll(CLOZE_PATTERN)) {
+        if (Number(match[1]) === index) answers.push(match[2].trim());
+    }
+    return answers.join(', ');
+}
+
+/**
+ * Text with every span filled in
+ * @param {string} text - Cloze source text
+ * @returns {string}
+ */
+export function fillCloze(text) {
+    return text.replace(CLOZE_PATTERN, (_, n, answer) => answer);
+}
+
+/**
+ * Text with every span hidden at once, for worksheets
+ * @param {string} text - Cloze source text
+ * @returns {string}
+ */
+export function blankCloze(text) {
+    return text.replace(CLOZE_PATTERN, (_, n, answer, hint) => hint ? `[${hint}]` : BLANK);
+}
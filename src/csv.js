@@ -0,0 +1,226 @@
+/**
+ * csv.js - CSV/TSV Import and Export
+ * RFC 4180 parsing (quoted fields may hold delimiters, quotes and line breaks),
+ * column mapping onto card fields, and spreadsheet export of a set
+ */
+
+import { createCard, createClozeCards, isClozeCard } from './state.js';
+import { getMasteryLevel, getMasteryLabel } from './spacedRep.js';
+import { hasCloze } from './cloze.js';
+
+// Card fields a column can be mapped to; IGNORE leaves the column out
+export const CSV_FIELDS = {
+    TERM: 'term',
+    DEFINITION: 'definition',
+    HINT: 'hint',
+    STARRED: 'starred',
+    TAGS: 'tags',
+    IGNORE: ''
+};
+
+// Header names recognised for each field, lowercase
+const HEADER_NAMES = {
+    [CSV_FIELDS.TERM]: ['term', 'front', 'word', 'question', 'prompt'],
+    [CSV_FIELDS.DEFINITION]: ['definition', 'back', 'answer', 'meaning', 'translation'],
+    [CSV_FIELDS.HINT]: ['hint', 'mnemonic', 'clue'],
+    [CSV_FIELDS.STARRED]: ['starred', 'star', 'favorite', 'favourite'],
+    [CSV_FIELDS.TAGS]: ['tags', 'tag', 'labels']
+};
+
+// Columns written by exportSetToCSV that have no card field to import into
+const EXPORT_ONLY_HEADERS = ['mastery', 'due'];
+
+const STARRED_VALUES = /^(1|true|yes|y|x|\*|★)$/i;
+const TAG_SEPARATOR = /[,;]/;
+
+/**
+ * Split CSV/TSV text into rows of fields. Blank lines are skipped.
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field separator (',', '\t', ';')
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSV(text, delimiter) {
+    const source = (text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    // The last row needs no trailing line break
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+/**
+ * Guess the delimiter from the first line: whichever of tab, comma and
+ * semicolon appears most often outside quotes
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectCSVDelimiter(text) {
+    const counts = { '\t': 0, ',': 0, ';': 0 };
+    let inQuotes = false;
+
+    for (const char of (text || '').replace(/^\uFEFF/, '')) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === '\n' || char === '\r')) break;
+        else if (!inQuotes && char in counts) counts[char]++;
+    }
+
+    return Object.keys(counts).reduce((best, char) => counts[char] > counts[best] ? char : best, ',');
+}
+
+function getHeaderField(name) {
+    const key = (name || '').trim().toLowerCase();
+    return Object.keys(HEADER_NAMES).find(field => HEADER_NAMES[field].includes(key)) ?? null;
+}
+
+/**
+ * Whether a row looks like column names rather than a card
+ * @param {Array<string>} row
+ * @returns {boolean}
+ */
+export function isHeaderRow(row) {
+    return row.some(name => getHeaderField(name) !== null || EXPORT_ONLY_HEADERS.includes(name.trim().toLowerCase()));
+}
+
+/**
+ * Default field for each column: by header name when there is a header,
+ * otherwise the first two columns are term and definition
+ * @param {Array<string>} firstRow
+ * @param {boolean} hasHeader
+ * @returns {Array<string>} A CSV_FIELDS value per column
+ */
+export function guessColumnMapping(firstRow, hasHeader) {
+    const mapping = firstRow.map(name => (hasHeader && getHeaderField(name)) || CSV_FIELDS.IGNORE);
+
+    // Each field is taken by its first matching column only
+    const seen = new Set();
+    mapping.forEach((field, index) => {
+        if (field && seen.has(field)) mapping[index] = CSV_FIELDS.IGNORE;
+        seen.add(field);
+    });
+
+    if (!mapping.includes(CSV_FIELDS.TERM) && !mapping.includes(CSV_FIELDS.DEFINITION)) {
+        if (mapping.length > 0) mapping[0] = CSV_FIELDS.TERM;
+        if (mapping.length > 1) mapping[1] = CSV_FIELDS.DEFINITION;
+    }
+    return mapping;
+}
+
+/**
+ * Turn mapped rows into cards. A term in cloze syntax becomes cloze cards.
+ * @param {Array<Array<string>>} rows - Data rows (no header)
+ * @param {Array<string>} mapping - CSV_FIELDS value per column
+ * @returns {Object} { cards, skipped } - skipped: rows without a term or definition
+ */
+export function buildCardsFromRows(rows, mapping) {
+    const cards = [];
+    let skipped = 0;
+
+    rows.forEach(row => {
+        const value = (field) => {
+            const index = mapping.indexOf(field);
+            return index >= 0 ? (row[index] || '').trim() : '';
+        };
+        const term = value(CSV_FIELDS.TERM);
+        const definition = value(CSV_FIELDS.DEFINITION);
+        const hint = value(CSV_FIELDS.HINT);
+        const starred = STARRED_VALUES.test(value(CSV_FIELDS.STARRED));
+        const tags = value(CSV_FIELDS.TAGS).split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+
+        let rowCards;
+        if (hasCloze(term)) {
+            rowCards = createClozeCards(term);
+        } else if (term && definition) {
+            rowCards = [createCard(term, definition)];
+        } else {
+            skipped++;
+            return;
+        }
+
+        rowCards.forEach(card => {
+            if (hint) card.hint = hint;
+            if (starred) card.starred = true;
+            if (tags.length > 0) card.tags = tags;
+            cards.push(card);
+        });
+    });
+
+    return { cards, skipped };
+}
+
+function quoteField(value, delimiter) {
+    const text = String(value ?? '');
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Serialize a set as CSV (or TSV with a tab delimiter). Cloze notes are
+ * written once, as their source text in the Term column.
+ * @param {Object} set - Study set
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {string}
+ */
+export function exportSetToCSV(set, delimiter = ',') {
+    const rows = [['Term', 'Definition', 'Hint', 'Starred', 'Tags', 'Mastery', 'Due']];
+    const writtenNotes = new Set();
+
+    set.cards.forEach(card => {
+        if (isClozeCard(card)) {
+            if (writtenNotes.has(card.cloze.noteId)) return;
+            writtenNotes.add(card.cloze.noteId);
+        }
+
+        rows.push([
+            isClozeCard(card) ? card.cloze.text : card.term,
+            isClozeCard(card) ? '' : card.definition,
+            card.hint || '',
+            card.starred ? 'yes' : '',
+            (card.tags || []).join('; '),
+            getMasteryLabel(getMasteryLevel(card.stats)),
+            // Cards never reviewed have no schedule yet
+            card.stats?.lastReviewed ? formatDate(card.stats.dueAt) : ''
+        ]);
+    });
+
+    return rows.map(row => row.map(value => quoteField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
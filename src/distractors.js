@@ -0,0 +1,162 @@
+/**
+ * distractors.js - Multiple Choice Distractor Ranking
+ * Prefers cards the learner has confused before, then answers that look alike
+ */
+
+import { getCard, getConfusions, getAnswerText, getAcceptedAnswers, isClozeCard } from './state.js';
+import { normalizeAnswer } from './grading.js';
+
+// Score weights - past confusions outweigh any amount of surface similarity
+const WEIGHTS = {
+    CONFUSION: 10,
+    SHARED_WORDS: 3,
+    SHARED_PREFIX: 2,
+    LENGTH: 1,
+    POSITION: 1,
+    JITTER: 0.75
+};
+
+// Large sets are narrowed to this many candidates before ranking
+const MAX_CANDIDATES = 200;
+
+// Cards either side of the asked card that always make the sample
+const NEIGHBOUR_SPAN = 50;
+
+/**
+ * Length of the common prefix of two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function sharedPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+}
+
+/**
+ * Fraction of words the two answers have in common (Jaccard index)
+ * @param {string} a - Normalized answer
+ * @param {string} b - Normalized answer
+ * @returns {number} 0-1
+ */
+function sharedWordRatio(a, b) {
+    const wordsA = new Set(a.split(' ').filter(Boolean));
+    const wordsB = new Set(b.split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared++;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Surface similarity between two answers
+ * @param {string} a - Normalized answer
+ * @param {string} b - Normalized answer
+ * @returns {number}
+ */
+function similarityScore(a, b) {
+    const longest = Math.max(a.length, b.length) || 1;
+    const lengthSimilarity = 1 - Math.abs(a.length - b.length) / longest;
+    const prefix = Math.min(sharedPrefixLength(a, b), 5) / 5;
+
+    return sharedWordRatio(a, b) * WEIGHTS.SHARED_WORDS +
+        prefix * WEIGHTS.SHARED_PREFIX +
+        lengthSimilarity * WEIGHTS.LENGTH;
+}
+
+/**
+ * Rank candidate distractors for a card, best first
+ * @param {Object} options
+ * @param {Object} options.card - Card being asked
+ * @param {Array} options.candidates - Other cards eligible as distractors
+ * @param {Array} options.cards - All cards in the set, in set order
+ * @param {Function} options.getText - Returns the answer text shown for a card
+ * @param {Object} options.confusions - { [cardId]: count } of past confusions for this card
+ * @returns {Array} Candidates sorted by descending score
+ */
+export function rankDistractors({ card, candidates, cards, getText, confusions = {} }) {
+    const target = normalizeAnswer(getText(card));
+    const positions = new Map(cards.map((c, i) => [c.uuid, i]));
+    const cardPosition = positions.get(card.uuid) ?? 0;
+    const span = Math.max(cards.length - 1, 1);
+
+    return candidates
+        .map(candidate => {
+            // Cards near each other in the set usually cover the same part of it
+            const distance = Math.abs((positions.get(candidate.uuid) ?? 0) - cardPosition);
+            const score =
+                (confusions[candidate.uuid] || 0) * WEIGHTS.CONFUSION +
+                similarityScore(target, normalizeAnswer(getText(candidate))) +
+                (1 - distance / span) * WEIGHTS.POSITION +
+                // A little randomness so the same options don't repeat every time
+                Math.random() * WEIGHTS.JITTER;
+
+            return { candidate, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.candidate);
+}
+
+/**
+ * Cards worth ranking as distractors. Small sets use every card; large ones
+ * keep past confusions and nearby cards, topped up with a random sample.
+ * @param {Object} set - Set the card belongs to
+ * @param {Object} card - Card being asked
+ * @returns {Array} Cards (may include the asked card)
+ */
+function sampleCandidates(set, card) {
+    if (set.cards.length <= MAX_CANDIDATES) return set.cards;
+
+    const position = Math.max(set.cards.findIndex(c => c.uuid === card.uuid), 0);
+    const sample = new Set(set.cards.slice(Math.max(position - NEIGHBOUR_SPAN, 0), position + NEIGHBOUR_SPAN + 1));
+
+    Object.keys(getConfusions(set.uuid, card.uuid)).forEach(id => {
+        const confused = getCard(set.uuid, id);
+        if (confused) sample.add(confused);
+    });
+
+    while (sample.size < MAX_CANDIDATES) {
+        sample.add(set.cards[Math.floor(Math.random() * set.cards.length)]);
+    }
+    return [...sample];
+}
+
+// Answers made only of symbols normalize to nothing, so they're compared as typed
+function answerKey(answer) {
+    return normalizeAnswer(answer) || (answer || '').trim();
+}
+
+/**
+ * Pick the best distractors for a card, on the side being answered with
+ * @param {Object} set - Set the card belongs to
+ * @param {Object} card - Card being asked
+ * @param {string} answerSide - Side the learner answers with
+ * @param {number} count - Number of distractors wanted
+ * @returns {Array} Up to `count` other cards
+ */
+export function pickDistractors(set, card, answerSide, count) {
+    // A card whose answers overlap this card's accepted answers would be a correct "wrong" option
+    const accepted = new Set(getAcceptedAnswers(card, answerSide).map(answerKey));
+    let candidates = sampleCandidates(set, card).filter(c =>
+        c.uuid !== card.uuid &&
+        !getAcceptedAnswers(c, answerSide).some(answer => accepted.has(answerKey(answer)))
+    );
+
+    // Cloze answers and term/definition answers rarely pass for each other
+    const sameType = candidates.filter(c => isClozeCard(c) === isClozeCard(card));
+    if (sameType.length >= count) candidates = sameType;
+
+    const ranked = rankDistractors({
+        card,
+        candidates,
+        cards: set.cards,
+        getText: c => getAnswerText(c, answerSide),
+        confusions: getConfusions(set.uuid, card.uuid)
+    });
+
+    return ranked.slice(0, count);
+}
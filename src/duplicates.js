@@ -0,0 +1,213 @@
+/**
+ * duplicates.js - Duplicate Card Detection
+ * Matches cards on their exact or normalized text, both for cards about to be
+ * added to a set and for cards already in one, and merges duplicates
+ */
+
+import { isClozeCard } from './state.js';
+import { normalizeAnswer } from './grading.js';
+
+export const DUPLICATE_MATCHES = {
+    EXACT: 'exact',
+    NORMALIZED: 'normalized'
+};
+
+// What to do with an incoming card that is already in the set
+export const DUPLICATE_ACTIONS = {
+    SKIP: 'skip',
+    OVERWRITE: 'overwrite',
+    KEEP_BOTH: 'keep'
+};
+
+// Cloze notes are matched on their source text, other cards on the term
+function getMatchText(card) {
+    return (isClozeCard(card) ? card.cloze.text : card.term || '').trim();
+}
+
+function getMatchKind(card) {
+    return isClozeCard(card) ? 'cloze' : 'basic';
+}
+
+/**
+ * Group cards into entries: one per basic card, one per cloze note
+ * @param {Array<Object>} cards
+ * @returns {Array<Array<Object>>}
+ */
+function groupNotes(cards) {
+    const notes = new Map();
+    cards.forEach(card => {
+        const key = isClozeCard(card) ? `cloze:${card.cloze.noteId}` : card.uuid;
+        if (!notes.has(key)) notes.set(key, []);
+        notes.get(key).push(card);
+    });
+    return [...notes.values()];
+}
+
+// Text that only differs in case, accents, punctuation or a leading article
+// shares a key; text with nothing left after that only matches exactly
+function getNormalizedKey(card) {
+    const normalized = normalizeAnswer(getMatchText(card));
+    return normalized ? `${getMatchKind(card)}:${normalized}` : null;
+}
+
+/**
+ * Check cards about to be added against the cards already in a set, and
+ * against the notes before them in the same batch. Cloze siblings are
+ * checked once, as a note.
+ * @param {Array<Object>} setCards - Cards in the set
+ * @param {Array<Object>} incoming - Cards to add
+ * @returns {Array<Object>} { cards, existing, match, inBatch } per incoming note;
+ *     existing and match are null when the note is new, and inBatch is set
+ *     when existing is an earlier incoming card rather than one in the set
+ */
+export function findIncomingDuplicates(setCards, incoming) {
+    const exact = new Map();
+    const normalized = new Map();
+    const batchCards = new Set();
+
+    // The first card with a given text is the one reported
+    const remember = card => {
+        const exactKey = `${getMatchKind(card)}:${getMatchText(card)}`;
+        const normalizedKey = getNormalizedKey(card);
+        if (!exact.has(exactKey)) exact.set(exactKey, card);
+        if (normalizedKey && !normalized.has(normalizedKey)) normalized.set(normalizedKey, card);
+    };
+    setCards.forEach(remember);
+
+    return groupNotes(incoming).map(cards => {
+        const card = cards[0];
+        const normalizedKey = getNormalizedKey(card);
+        const exactMatch = exact.get(`${getMatchKind(card)}:${getMatchText(card)}`);
+        const normalizedMatch = normalizedKey ? normalized.get(normalizedKey) : null;
+
+        const existing = exactMatch || normalizedMatch || null;
+        if (existing) {
+            return {
+                cards,
+                existing,
+                match: exactMatch ? DUPLICATE_MATCHES.EXACT : DUPLICATE_MATCHES.NORMALIZED,
+                inBatch: batchCards.has(existing)
+            };
+        }
+
+        // A new note is added, so later repeats in the batch are duplicates of it
+        remember(card);
+        batchCards.add(card);
+        return { cards, existing: null, match: null, inBatch: false };
+    });
+}
+
+/**
+ * Whether an incoming duplicate can replace the existing card's definition;
+ * cloze notes have no single definition to swap
+ * @param {Object} entry - From findIncomingDuplicates
+ * @returns {boolean}
+ */
+export function canOverwriteDefinition(entry) {
+    return !isClozeCard(entry.cards[0]) && !isClozeCard(entry.existing);
+}
+
+/**
+ * Groups of basic cards in a set whose terms match once normalized.
+ * Cloze notes aren't grouped, since their siblings can't be merged card by card.
+ * @param {Array<Object>} cards - Cards in the set
+ * @returns {Array<Object>} { match, cards, keeper } per group, in set order
+ */
+export function findDuplicateGroups(cards) {
+    const groups = new Map();
+
+    cards.filter(card => !isClozeCard(card)).forEach(card => {
+        const key = getNormalizedKey(card) ?? `exact:${getMatchText(card)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(card);
+    });
+
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => ({
+            match: group.every(card => getMatchText(card) === getMatchText(group[0]))
+                ? DUPLICATE_MATCHES.EXACT
+                : DUPLICATE_MATCHES.NORMALIZED,
+            cards: group,
+            keeper: pickBestStats(group)
+        }));
+}
+
+// Further along in SM-2: the run of successful reviews, then the interval
+// it earned and its ease; ties go to the most recent review. Learn mode's
+// masteryLevel streak resets on a miss, so it says nothing about the schedule.
+function compareStats(a, b) {
+    const statsA = a.stats || {};
+    const statsB = b.stats || {};
+    return (statsA.repetitions || 0) - (statsB.repetitions || 0)
+        || (statsA.interval || 0) - (statsB.interval || 0)
+        || (statsA.ease || 0) - (statsB.ease || 0)
+        || (statsA.lastReviewed || 0) - (statsB.lastReviewed || 0);
+}
+
+/**
+ * The card whose SM-2 stats are furthest along; the first one on a tie
+ * @param {Array<Object>} cards
+ * @returns {Object}
+ */
+export function pickBestStats(cards) {
+    return cards.reduce((best, card) => compareStats(card, best) > 0 ? card : best);
+}
+
+function uniqueAnswers(answers, exclude) {
+    const seen = new Set([normalizeAnswer(exclude)]);
+    return answers.filter(answer => {
+        const key = normalizeAnswer(answer);
+        if (!answer || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Keeper's media first; a side the keeper has none for takes the first other card's
+function mergeMedia(field, keeper, others) {
+    const merged = { ...keeper[field] };
+    others.forEach(card => {
+        Object.entries(card[field] || {}).forEach(([side, id]) => {
+            if (id && !merged[side]) merged[side] = id;
+        });
+    });
+    return Object.keys(merged).length > 0 ? merged : undefined;
+}
+
+/**
+ * Merge duplicate cards into the one with the best SM-2 stats. Its term,
+ * definition and schedule stay; the others' definitions become accepted
+ * alternatives, and their hint, star, tags and media fill in what it lacks.
+ * @param {Array<Object>} cards - Basic cards in one duplicate group
+ * @returns {Object} { card, removed } - merged card (keeper's UUID) and the cards it replaces
+ */
+export function mergeDuplicateCards(cards) {
+    const keeper = pickBestStats(cards);
+    const others = cards.filter(card => card !== keeper);
+    const all = [keeper, ...others];
+
+    const alternatives = {
+        term: uniqueAnswers(all.flatMap(card => card.alternatives?.term || []), keeper.term),
+        definition: uniqueAnswers(
+            all.flatMap(card => [card.definition, ...(card.alternatives?.definition || [])]),
+            keeper.definition
+        )
+    };
+    const tags = [...new Set(all.flatMap(card => card.tags || []))];
+
+    const card = {
+        ...keeper,
+        hint: keeper.hint || others.find(other => other.hint)?.hint || '',
+        starred: all.some(other => other.starred),
+        alternatives
+    };
+    if (tags.length > 0) card.tags = tags;
+
+    const images = mergeMedia('images', keeper, others);
+    const audio = mergeMedia('audio', keeper, others);
+    if (images) card.images = images;
+    if (audio) card.audio = audio;
+
+    return { card, removed: others };
+}
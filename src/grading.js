@@ -0,0 +1,112 @@
+/**
+ * grading.js - Typed Answer Grading
+ * Compares written answers with tolerance for case, accents, punctuation,
+ * leading articles and small typos
+ */
+
+import { toPlainText } from './richText.js';
+
+// Articles ignored at the start of an answer ("the heart" === "heart")
+const LEADING_ARTICLES = /^(?:the|a|an|le|la|les|l|el|los|las|un|une|der|die|das)\s+/;
+
+/**
+ * Normalize an answer for comparison
+ * @param {string} text - Raw answer text
+ * @returns {string} Lowercased text without formatting, accents, punctuation or leading article
+ */
+export function normalizeAnswer(text) {
+    return toPlainText(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(LEADING_ARTICLES, '');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,        // deletion
+                current[j - 1] + 1,     // insertion
+                previous[j - 1] + cost  // substitution
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for an answer of the given length
+ * @param {number} length - Length of the normalized expected answer
+ * @returns {number}
+ */
+function getTypoAllowance(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+}
+
+/**
+ * Grade a typed answer against the expected one
+ * @param {string} given - What the learner typed
+ * @param {string} expected - The correct answer
+ * @returns {Object} { correct, exact, distance }
+ */
+export function gradeWrittenAnswer(given, expected) {
+    let normalizedGiven = normalizeAnswer(given);
+    let normalizedExpected = normalizeAnswer(expected);
+
+    // Answers made only of symbols normalize to nothing; compare them as typed
+    if (!normalizedExpected) {
+        normalizedGiven = (given || '').trim().toLowerCase();
+        normalizedExpected = (expected || '').trim().toLowerCase();
+    }
+
+    if (!normalizedGiven) {
+        return { correct: false, exact: false, distance: normalizedExpected.length };
+    }
+
+    const distance = levenshtein(normalizedGiven, normalizedExpected);
+
+    return {
+        correct: distance <= getTypoAllowance(normalizedExpected.length),
+        exact: distance === 0,
+        distance
+    };
+}
+
+// Lower is better: exact matches, then accepted typos, then the closest miss
+function resultRank(result) {
+    return (result.exact ? 0 : result.correct ? 1 : 2) * 1000 + result.distance;
+}
+
+/**
+ * Grade a typed answer against every accepted answer and keep the best match
+ * @param {string} given - What the learner typed
+ * @param {Array<string>} acceptedAnswers - The card's answer first, then its alternatives
+ * @returns {Object} { correct, exact, distance, matched } where matched is the closest accepted answer
+ */
+export function gradeAgainstAccepted(given, acceptedAnswers) {
+    return acceptedAnswers
+        .map(answer => ({ ...gradeWrittenAnswer(given, answer), matched: answer }))
+        .reduce((best, result) => resultRank(result) < resultRank(best) ? result : best);
+}
@@ -0,0 +1,174 @@
+/**
+ * library.js - Full-Library Import
+ * Works out what importing a library archive will change, then applies it
+ * by merging sets and cards by UUID or by replacing the whole library
+ */
+
+export const LIBRARY_IMPORT_MODES = {
+    MERGE: 'merge',
+    REPLACE: 'replace'
+};
+
+// Fields compared to decide whether a set itself changed (cards are compared separately)
+const SET_FIELDS = ['name', 'confusions', 'testHistory', 'matchBest'];
+
+function updatedAt(item) {
+    return item?.meta?.updatedAt || 0;
+}
+
+function isSameItem(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function setFieldsDiffer(a, b) {
+    return SET_FIELDS.some(field => !isSameItem(a[field] ?? null, b[field] ?? null));
+}
+
+/**
+ * Merge one set from the archive into the same set in the library.
+ * Cards in both keep whichever copy was edited last; cards only in
+ * the archive are added after the library's own.
+ * @param {Object} current - Set in the library
+ * @param {Object} incoming - Set with the same UUID from the archive
+ * @returns {Object} { set, added, updated, kept, fieldsChanged }
+ */
+function mergeSet(current, incoming) {
+    const incomingById = new Map(incoming.cards.map(card => [card.uuid, card]));
+    const currentIds = new Set(current.cards.map(card => card.uuid));
+    let updated = 0;
+
+    const cards = current.cards.map(card => {
+        const other = incomingById.get(card.uuid);
+        if (other && updatedAt(other) > updatedAt(card) && !isSameItem(other, card)) {
+            updated++;
+            return other;
+        }
+        return card;
+    });
+    const added = incoming.cards.filter(card => !currentIds.has(card.uuid));
+
+    // Name, test history and the like come from whichever set was edited last
+    const base = updatedAt(incoming) > updatedAt(current) ? incoming : current;
+    return {
+        set: { ...base, cards: [...cards, ...added] },
+        added: added.length,
+        updated,
+        kept: cards.length - updated,
+        fieldsChanged: base === incoming && setFieldsDiffer(current, incoming)
+    };
+}
+
+// Compare a set in the library with its replacement from the archive
+function replaceSet(current, incoming) {
+    const currentById = new Map(current.cards.map(card => [card.uuid, card]));
+    const incomingIds = new Set(incoming.cards.map(card => card.uuid));
+
+    let added = 0;
+    let updated = 0;
+    incoming.cards.forEach(card => {
+        const existing = currentById.get(card.uuid);
+        if (!existing) {
+            added++;
+        } else if (!isSameItem(existing, card)) {
+            updated++;
+        }
+    });
+
+    return {
+        set: incoming,
+        added,
+        updated,
+        removed: current.cards.filter(card => !incomingIds.has(card.uuid)).length,
+        kept: incoming.cards.length - added - updated,
+        fieldsChanged: setFieldsDiffer(current, incoming)
+    };
+}
+
+/**
+ * Work out the effect of importing a library archive
+ * @param {Object} current - Current state (exportState)
+ * @param {Object} library - Parsed archive (importLibraryFromJSON)
+ * @param {string} mode - LIBRARY_IMPORT_MODES value
+ * @returns {Object} { mode, sets: [{ uuid, name, status, added, updated, removed }], totals, settingsReplaced, data }
+ */
+export function planLibraryImport(current, library, mode) {
+    const replace = mode === LIBRARY_IMPORT_MODES.REPLACE;
+    const currentSets = current.allSets || {};
+    const allSets = replace ? {} : { ...currentSets };
+    const sets = [];
+
+    Object.values(library.allSets).forEach(incoming => {
+        const existing = currentSets[incoming.uuid];
+        if (!existing) {
+            allSets[incoming.uuid] = incoming;
+            sets.push({ uuid: incoming.uuid, name: incoming.name, status: 'new', added: incoming.cards.length, updated: 0, removed: 0 });
+            return;
+        }
+
+        const result = replace ? replaceSet(existing, incoming) : mergeSet(existing, incoming);
+        const changed = result.added > 0 || result.updated > 0 || result.removed > 0 || result.fieldsChanged;
+        allSets[incoming.uuid] = result.set;
+        sets.push({
+            uuid: incoming.uuid,
+            name: result.set.name,
+            status: changed ? 'updated' : 'unchanged',
+            added: result.added,
+            updated: result.updated,
+            removed: result.removed || 0
+        });
+    });
+
+    // Replacing drops every set the archive doesn't have
+    if (replace) {
+        Object.values(currentSets)
+            .filter(set => !library.allSets[set.uuid])
+            .forEach(set => sets.push({ uuid: set.uuid, name: set.name, status: 'removed', added: 0, updated: 0, removed: set.cards.length }));
+    }
+
+    const totals = sets.reduce((sum, row) => ({
+        setsAdded: sum.setsAdded + (row.status === 'new' ? 1 : 0),
+        setsUpdated: sum.setsUpdated + (row.status === 'updated' ? 1 : 0),
+        setsRemoved: sum.setsRemoved + (row.status === 'removed' ? 1 : 0),
+        cardsAdded: sum.cardsAdded + row.added,
+        cardsUpdated: sum.cardsUpdated + row.updated,
+        cardsRemoved: sum.cardsRemoved + row.removed
+    }), { setsAdded: 0, setsUpdated: 0, setsRemoved: 0, cardsAdded: 0, cardsUpdated: 0, cardsRemoved: 0 });
+
+    return {
+        mode,
+        sets,
+        totals,
+        settingsReplaced: replace,
+        data: replace ? replaceLibrary(current, library, allSets) : mergeLibrary(current, library, allSets)
+    };
+}
+
+// Everything comes from the archive, except secrets it never contains
+function replaceLibrary(current, library, allSets) {
+    return {
+        ...current,
+        allSets,
+        activeSetId: allSets[library.activeSetId] ? library.activeSetId : Object.keys(allSets)[0] || null,
+        analytics: library.analytics || current.analytics,
+        features: { ...current.features, ...library.features },
+        settings: { ...current.settings, ...library.settings },
+        ttsState: { ...current.ttsState, ...library.ttsState }
+    };
+}
+
+// This device's settings stay; study history from both is kept, taking
+// the busier record for days present in both
+function mergeLibrary(current, library, allSets) {
+    const dailyStats = { ...current.analytics?.dailyStats };
+    Object.entries(library.analytics?.dailyStats || {}).forEach(([date, stats]) => {
+        if (!dailyStats[date] || (stats.cards || 0) > (dailyStats[date].cards || 0)) {
+            dailyStats[date] = stats;
+        }
+    });
+
+    return {
+        ...current,
+        allSets,
+        analytics: { ...current.analytics, dailyStats }
+    };
+}
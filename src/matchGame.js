@@ -0,0 +1,68 @@
+/**
+ * matchGame.js - Match Game Logic
+ * Builds a board of term and definition tiles to pair against the clock
+ */
+
+import { shuffleArray } from './render.js';
+
+// Pairs on the board when the set is large enough
+export const MATCH_PAIR_COUNT = 6;
+
+// Added to the clock for every mismatched pair
+export const MATCH_PENALTY_MS = 1000;
+
+/**
+ * Build a shuffled board from a random subset of a set's cards.
+ * Cards repeating another card's term or definition are skipped so
+ * every tile has exactly one partner.
+ * @param {Object} set - Study set
+ * @param {number} pairCount - Pairs wanted
+ * @returns {Array} Tiles { id, cardId, side, text }
+ */
+export function buildMatchBoard(set, pairCount = MATCH_PAIR_COUNT) {
+    const seenTerms = new Set();
+    const seenDefinitions = new Set();
+    const picked = [];
+
+    for (const card of shuffleArray(set.cards)) {
+        const term = card.term.trim().toLowerCase();
+        const definition = card.definition.trim().toLowerCase();
+        if (seenTerms.has(term) || seenDefinitions.has(definition)) continue;
+
+        seenTerms.add(term);
+        seenDefinitions.add(definition);
+        picked.push(card);
+        if (picked.length === pairCount) break;
+    }
+
+    const tiles = picked.flatMap(card => [
+        { id: `${card.uuid}:term`, cardId: card.uuid, side: 'term', text: card.term },
+        { id: `${card.uuid}:definition`, cardId: card.uuid, side: 'definition', text: card.definition }
+    ]);
+
+    return shuffleArray(tiles);
+}
+
+/**
+ * Whether two tiles form a pair
+ * @param {Object} a - Tile
+ * @param {Object} b - Tile
+ * @returns {boolean}
+ */
+export function isMatchingPair(a, b) {
+    return a.cardId === b.cardId && a.side !== b.side;
+}
+
+/**
+ * Format a game time for display
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string} e.g. "12.3s" or "1:05.2"
+ */
+export function formatMatchTime(ms) {
+    const tenths = Math.floor(ms / 100);
+    const seconds = (tenths % 600) / 10;
+    const minutes = Math.floor(tenths / 600);
+
+    if (minutes === 0) return `${seconds.toFixed(1)}s`;
+    return `${minutes}:${seconds.toFixed(1).padStart(4, '0')}`;
+}
@@ -0,0 +1,85 @@
+/**
+ * math.js - LaTeX Math Rendering
+ * Renders $inline$ and $$display$$ math with the bundled KaTeX,
+ * and turns TeX into words for text-to-speech
+ */
+
+import katex from '../node_modules/katex/dist/katex.mjs';
+
+// Display math first so $$...$$ isn't read as two empty inline spans.
+// Inline $...$ follows Pandoc's rule: no space inside the dollars and no
+// digit right after the closing one, so "$5 and $10" stays plain text.
+export const MATH_PATTERN = /\$\$(.+?)\$\$|\\\[(.+?)\\\]|\\\((.+?)\\\)|\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)/g;
+
+// A line that opens or closes a multi-line $$ block
+export const MATH_FENCE = /^\$\$$/;
+
+// Spoken names for TeX commands
+const SPOKEN_COMMANDS = {
+    times: 'times', cdot: 'times', div: 'divided by', pm: 'plus or minus', mp: 'minus or plus',
+    le: 'less than or equal to', leq: 'less than or equal to', ge: 'greater than or equal to',
+    geq: 'greater than or equal to', neq: 'not equal to', ne: 'not equal to', approx: 'approximately',
+    equiv: 'is equivalent to', propto: 'is proportional to', infty: 'infinity', to: 'to',
+    rightarrow: 'to', leftarrow: 'from', Rightarrow: 'implies', iff: 'if and only if',
+    sum: 'the sum of', prod: 'the product of', int: 'the integral of', oint: 'the contour integral of',
+    lim: 'the limit', partial: 'partial', nabla: 'del', degree: 'degrees', circ: 'degrees',
+    sin: 'sine', cos: 'cosine', tan: 'tangent', log: 'log', ln: 'natural log', exp: 'exp',
+    in: 'in', notin: 'not in', subset: 'subset of', cup: 'union', cap: 'intersection',
+    forall: 'for all', exists: 'there exists', neg: 'not', land: 'and', lor: 'or',
+    ldots: 'dot dot dot', cdots: 'dot dot dot', hbar: 'h bar', ell: 'l'
+};
+
+/**
+ * Render TeX to HTML. Invalid TeX is shown as an error-coloured source
+ * rather than throwing.
+ * @param {string} tex
+ * @param {boolean} displayMode - Centered block equation
+ * @returns {string} HTML
+ */
+export function renderMath(tex, displayMode = false) {
+    return katex.renderToString(tex, {
+        displayMode,
+        throwOnError: false,
+        output: 'htmlAndMathml'
+    });
+}
+
+// Replace innermost "\name{a}{b}"-style groups until none are left
+function replaceGroups(text, pattern, replacer) {
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(pattern, replacer);
+    } while (text !== previous);
+    return text;
+}
+
+/**
+ * Readable words for a TeX expression, e.g. "\frac{a}{b}" -> "a over b"
+ * @param {string} tex
+ * @returns {string}
+ */
+export function mathToSpeech(tex) {
+    let text = tex
+        .replace(/\\(left|right|displaystyle|,|;|!|quad|qquad)/g, ' ')
+        .replace(/\\(?:text|mathrm|mathbf|mathit|operatorname)\{([^{}]*)\}/g, ' $1 ');
+
+    text = replaceGroups(text, /\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, ' $1 over $2 ');
+    text = replaceGroups(text, /\\sqrt\[([^\]]*)\]\{([^{}]*)\}/g, ' the $1th root of $2 ');
+    text = replaceGroups(text, /\\sqrt\{([^{}]*)\}/g, ' the square root of $1 ');
+
+    text = text
+        .replace(/\^(?:2(?!\d)|\{2\})/g, ' squared ')
+        .replace(/\^(?:3(?!\d)|\{3\})/g, ' cubed ')
+        .replace(/\^\{([^{}]*)\}|\^(\S)/g, (_, group, single) => ` to the power of ${group ?? single} `)
+        .replace(/_\{([^{}]*)\}|_(\S)/g, (_, group, single) => ` sub ${group ?? single} `)
+        .replace(/\\([a-zA-Z]+)/g, (_, name) => ` ${SPOKEN_COMMANDS[name] || name} `)
+        .replace(/=/g, ' equals ')
+        .replace(/\+/g, ' plus ')
+        .replace(/(\s|^)-(?=\s|\w)/g, '$1 minus ')
+        .replace(/</g, ' less than ')
+        .replace(/>/g, ' greater than ')
+        .replace(/[{}]/g, ' ');
+
+    return text.replace(/\s+/g, ' ').trim();
+}
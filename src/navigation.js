@@ -7,7 +7,9 @@
 const SECTIONS = {
     HOME: 'homeSection',
     SET_VIEW: 'setViewSection',
-    LEARN: 'learnSection'
+    LEARN: 'learnSection',
+    TEST: 'testSection',
+    MATCH: 'matchSection'
 };
 
 // Modal IDs
@@ -17,7 +19,14 @@ const MODALS = {
     ADD_CARD: 'addCardModal',
     BULK_IMPORT: 'bulkImportModal',
     LEARN_SETTINGS: 'learnSettingsModal',
-    KEYBOARD_SETTINGS: 'keyboardSettingsModal'
+    KEYBOARD_SETTINGS: 'keyboardSettingsModal',
+    BACKUPS: 'backupsModal',
+    LIBRARY_IMPORT: 'libraryImportModal',
+    ANKI_IMPORT: 'ankiImportModal',
+    CSV_IMPORT: 'csvImportModal',
+    DUPLICATE_IMPORT: 'duplicateImportModal',
+    DUPLICATES: 'duplicatesModal',
+    PRINT: 'printModal'
 };
 
 // Current navigation state
@@ -117,6 +126,54 @@ export function showLearnMode(setId, options = {}, renderCallback) {
     history.replaceState({ section: 'learn', setId }, '', `#learn/${setId}`);
 }
 
+/**
+ * Show test mode section
+ * @param {string} setId - Set to test on
+ * @param {Function} renderCallback - Callback to render the test setup
+ */
+export function showTestMode(setId, renderCallback) {
+    hideAllSections();
+    hideAllModals();
+
+    const testSection = document.getElementById(SECTIONS.TEST);
+    if (testSection) {
+        testSection.classList.remove('hidden');
+    }
+
+    currentSection = SECTIONS.TEST;
+    navigationHistory.push(SECTIONS.TEST);
+
+    if (renderCallback) {
+        renderCallback(setId);
+    }
+
+    history.replaceState({ section: 'test', setId }, '', `#test/${setId}`);
+}
+
+/**
+ * Show match game section
+ * @param {string} setId - Set to play with
+ * @param {Function} renderCallback - Callback to render the game intro
+ */
+export function showMatchMode(setId, renderCallback) {
+    hideAllSections();
+    hideAllModals();
+
+    const matchSection = document.getElementById(SECTIONS.MATCH);
+    if (matchSection) {
+        matchSection.classList.remove('hidden');
+    }
+
+    currentSection = SECTIONS.MATCH;
+    navigationHistory.push(SECTIONS.MATCH);
+
+    if (renderCallback) {
+        renderCallback(setId);
+    }
+
+    history.replaceState({ section: 'match', setId }, '', `#match/${setId}`);
+}
+
 /**
  * Navigate back
  * @param {Object} callbacks - { home, setView }
@@ -0,0 +1,233 @@
+/**
+ * print.js - Printable Study Sheets
+ * Lays out a set as a standalone HTML document for paper: double-sided
+ * flashcards, a two-column term list or a fill-in-the-blank worksheet
+ */
+
+import { isClozeCard, getCardImage } from './state.js';
+import { renderRichText } from './richText.js';
+import { blankCloze, getClozeAnswer, getClozeIndices } from './cloze.js';
+import { escapeHtml } from './render.js';
+
+export const PRINT_LAYOUTS = {
+    FLASHCARDS: 'flashcards',
+    LIST: 'list',
+    WORKSHEET: 'worksheet'
+};
+
+// Which edge the duplex printer turns the sheet over
+export const FLIP_EDGES = {
+    LONG: 'long',
+    SHORT: 'short'
+};
+
+// Portrait paper in millimetres
+export const PAGE_SIZES = {
+    A4: { width: 210, height: 297 },
+    Letter: { width: 215.9, height: 279.4 }
+};
+
+// Same margin on every side, so fronts and backs line up whichever edge is flipped
+const PAGE_MARGIN_MM = 10;
+
+const FLASHCARD_GRID = { columns: 2, rows: 4 };
+
+// KaTeX output needs its stylesheet; the printout loads it from the app's files
+const KATEX_CSS_URL = new URL('../node_modules/katex/dist/katex.min.css', import.meta.url).href;
+
+// Placeholder cloze.js leaves for a hidden span
+const BLANK = '[...]';
+
+function buildStyles(pageSize) {
+    const page = PAGE_SIZES[pageSize] || PAGE_SIZES.A4;
+    // A hair under the printable height, so a sheet never spills onto another page
+    const sheetHeight = page.height - PAGE_MARGIN_MM * 2 - 1;
+
+    return `
+        @page { size: ${page.width}mm ${page.height}mm; margin: ${PAGE_MARGIN_MM}mm; }
+        * { box-sizing: border-box; }
+        body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; font-size: 11pt; }
+        h1 { font-size: 16pt; margin: 0 0 2mm; }
+        h2 { font-size: 13pt; margin: 0 0 3mm; }
+        .meta { color: #64748b; font-size: 9pt; margin: 0 0 6mm; }
+        img { max-width: 100%; max-height: 30mm; object-fit: contain; }
+        ul, ol { text-align: left; }
+
+        .sheet {
+            height: ${sheetHeight}mm;
+            display: grid;
+            grid-template-columns: repeat(${FLASHCARD_GRID.columns}, 1fr);
+            grid-template-rows: repeat(${FLASHCARD_GRID.rows}, 1fr);
+            break-after: page;
+        }
+        .sheet:last-child { break-after: auto; }
+        .cell {
+            border: 1px dashed #94a3b8;
+            padding: 4mm;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 2mm;
+            text-align: center;
+            overflow: hidden;
+        }
+        .cell.front { font-size: 14pt; font-weight: 600; }
+        .cell.back { font-size: 11pt; }
+
+        table.term-list { width: 100%; border-collapse: collapse; }
+        .term-list th, .term-list td { border: 1px solid #cbd5e1; padding: 2mm 3mm; vertical-align: top; text-align: left; width: 50%; }
+        .term-list th { background: #f1f5f9; font-size: 9pt; text-transform: uppercase; color: #475569; }
+        .term-list tr { break-inside: avoid; }
+        .term-list td:first-child { font-weight: 600; }
+
+        ol.worksheet { padding-left: 8mm; margin: 0; }
+        .worksheet > li { margin-bottom: 7mm; break-inside: avoid; }
+        .answer-line { border-bottom: 1px solid #0f172a; height: 8mm; width: 70%; }
+        .blank { display: inline-block; min-width: 25mm; border-bottom: 1px solid #0f172a; }
+        .answer-key { break-before: page; }
+        .answer-key li { margin-bottom: 2mm; }
+
+        @media screen {
+            body { background: #e2e8f0; padding: 6mm 0; }
+            .paper { background: white; width: ${page.width}mm; margin: 0 auto; padding: ${PAGE_MARGIN_MM}mm; box-shadow: 0 1px 4px rgba(15, 23, 42, 0.2); }
+            .sheet { margin-bottom: ${PAGE_MARGIN_MM * 2}mm; }
+        }
+    `;
+}
+
+function cardSideHtml(card, field, images) {
+    const imageId = getCardImage(card, field);
+    const image = imageId && images?.get(imageId) ? `<img src="${images.get(imageId)}" alt="">` : '';
+    return `${image}<div>${renderRichText(card[field])}</div>`;
+}
+
+// Position on the back of the sheet that sits behind a cell on the front
+function getBackPosition(index, flipEdge) {
+    const row = Math.floor(index / FLASHCARD_GRID.columns);
+    const column = index % FLASHCARD_GRID.columns;
+    return flipEdge === FLIP_EDGES.SHORT
+        ? (FLASHCARD_GRID.rows - 1 - row) * FLASHCARD_GRID.columns + column
+        : row * FLASHCARD_GRID.columns + (FLASHCARD_GRID.columns - 1 - column);
+}
+
+/**
+ * Fronts and backs on alternating pages. Each back page mirrors its front
+ * so a card's definition is printed behind its term.
+ */
+function buildFlashcards(set, options) {
+    const perSheet = FLASHCARD_GRID.columns * FLASHCARD_GRID.rows;
+    const sheets = [];
+
+    for (let start = 0; start < set.cards.length; start += perSheet) {
+        const cards = set.cards.slice(start, start + perSheet);
+        const fronts = [];
+        const backs = new Array(perSheet).fill('<div class="cell back"></div>');
+
+        for (let i = 0; i < perSheet; i++) {
+            const card = cards[i];
+            fronts.push(`<div class="cell front">${card ? cardSideHtml(card, 'term', options.images) : ''}</div>`);
+            if (card) {
+                backs[getBackPosition(i, options.flipEdge)] = `<div class="cell back">${cardSideHtml(card, 'definition', options.images)}</div>`;
+            }
+        }
+
+        sheets.push(`<div class="sheet">${fronts.join('')}</div>`, `<div class="sheet">${backs.join('')}</div>`);
+    }
+
+    return sheets.join('');
+}
+
+function buildTermList(set, options) {
+    return `
+        <h1>${escapeHtml(set.name)}</h1>
+        <p class="meta">${set.cards.length} terms</p>
+        <table class="term-list">
+            <thead><tr><th>Term</th><th>Definition</th></tr></thead>
+            <tbody>
+                ${set.cards.map(card => `
+                    <tr>
+                        <td>${cardSideHtml(card, 'term', options.images)}</td>
+                        <td>${cardSideHtml(card, 'definition', options.images)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// One question per card, except that a cloze note is asked once with every span blank
+function getWorksheetItems(set, images) {
+    const seenNotes = new Set();
+    const items = [];
+
+    set.cards.forEach(card => {
+        if (!isClozeCard(card)) {
+            items.push({ prompt: cardSideHtml(card, 'definition', images), answer: card.term, line: true });
+            return;
+        }
+        if (seenNotes.has(card.cloze.noteId)) return;
+        seenNotes.add(card.cloze.noteId);
+
+        const text = card.cloze.text;
+        items.push({
+            prompt: `<div>${renderRichText(blankCloze(text)).split(BLANK).join('<span class="blank"></span>')}</div>`,
+            answer: getClozeIndices(text).map(index => getClozeAnswer(text, index)).join('; '),
+            line: false
+        });
+    });
+
+    return items;
+}
+
+function buildWorksheet(set, options) {
+    const items = getWorksheetItems(set, options.images);
+
+    return `
+        <h1>${escapeHtml(set.name)}</h1>
+        <p class="meta">Name: ______________________ &nbsp; Date: ____________</p>
+        <ol class="worksheet">
+            ${items.map(item => `
+                <li>
+                    ${item.prompt}
+                    ${item.line ? '<div class="answer-line"></div>' : ''}
+                </li>
+            `).join('')}
+        </ol>
+        ${options.answerKey ? `
+            <section class="answer-key">
+                <h2>Answer Key</h2>
+                <ol>${items.map(item => `<li>${renderRichText(item.answer)}</li>`).join('')}</ol>
+            </section>
+        ` : ''}
+    `;
+}
+
+/**
+ * Build the printable document for a set
+ * @param {Object} set - Study set
+ * @param {Object} options - { layout, pageSize, flipEdge, answerKey, images }
+ *     images: Map of image ID to data URL for the cards' pictures
+ * @returns {string} A complete HTML document
+ */
+export function buildPrintDocument(set, options) {
+    const builders = {
+        [PRINT_LAYOUTS.FLASHCARDS]: buildFlashcards,
+        [PRINT_LAYOUTS.LIST]: buildTermList,
+        [PRINT_LAYOUTS.WORKSHEET]: buildWorksheet
+    };
+    const build = builders[options.layout] || buildTermList;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(set.name)}</title>
+    <link href="${KATEX_CSS_URL}" rel="stylesheet">
+    <style>${buildStyles(options.pageSize)}</style>
+</head>
+<body>
+    <div class="paper">${build(set, options)}</div>
+</body>
+</html>`;
+}
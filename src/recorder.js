@@ -0,0 +1,63 @@
+/**
+ * recorder.js - Microphone Recording
+ * Records pronunciation clips with MediaRecorder for attaching to cards
+ */
+
+let activeRecording = null;
+
+/**
+ * Whether this environment can record from a microphone
+ * @returns {boolean}
+ */
+export function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+}
+
+/**
+ * Start recording from the default microphone. Only one recording runs at a time.
+ * @returns {Promise<boolean>} false if the microphone couldn't be opened
+ */
+export async function startRecording() {
+    if (activeRecording || !isRecordingSupported()) return false;
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (e) {
+        console.warn('Microphone unavailable:', e);
+        return false;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+
+    activeRecording = { recorder, stream, chunks };
+    recorder.start();
+    return true;
+}
+
+/**
+ * Stop the current recording
+ * @returns {Promise<Blob|null>} The recorded audio, or null if nothing was recording
+ */
+export function stopRecording() {
+    if (!activeRecording) return Promise.resolve(null);
+
+    const { recorder, stream, chunks } = activeRecording;
+    activeRecording = null;
+
+    return new Promise((resolve) => {
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            resolve(chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }) : null);
+        };
+        recorder.stop();
+    });
+}
+
+export function isRecording() {
+    return !!activeRecording;
+}
@@ -4,15 +4,21 @@
  */
 
 import {
-    getState, getAllSets, getSet, getActiveSet, getStarredCards, getDueCards,
-    getLearnSession, getSettings, getFeatures, getTtsState
+    getState, getAllSets, getSet, getCard, getActiveSet, getStarredCards, getDueCount,
+    getLearnSession, getSettings, getFeatures, getTtsState, QUESTION_TYPES, TEST_QUESTION_TYPES,
+    ANSWER_SIDES, getPromptText, getAnswerText, getAnswerLabel, isClozeCard,
+    getPromptField, getAnswerField, getCardImage, getCardRecording, getCardAlternatives, formatAlternatives
 } from './state.js';
-import { loadLearnSession } from './storage.js';
+import { loadLearnSession, getImageURL } from './storage.js';
 import {
-    GRADES, GRADE_LABELS, GRADE_COLORS, getMasteryLevel, getMasteryLabel,
-    getMasteryColor, getNextReviewText, estimateStudyTime
+    GRADES, GRADE_LABELS, GRADE_COLORS, calculateSM2, formatInterval, getMasteryLevel,
+    getMasteryLabel, getMasteryColor, getNextReviewText, estimateStudyTime
 } from './spacedRep.js';
 import { getTodayStats, getStreakInfo, getTotalStats } from './analytics.js';
+import { pickDistractors } from './distractors.js';
+import { fillCloze } from './cloze.js';
+import { canOverwriteDefinition } from './duplicates.js';
+import { renderRichText, toPlainText, hasFormatting } from './richText.js';
 
 // ============================================================
 // UTILITY FUNCTIONS
@@ -24,6 +30,43 @@ export function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Placeholder for a stored card image; hydrateImages fills in the source
+function cardImageHtml(imageId, className = 'card-image max-h-40') {
+    if (!imageId) return '';
+    return `<img data-image-id="${imageId}" alt="" class="${className} rounded-lg object-contain mx-auto">`;
+}
+
+// Load stored images for every placeholder inside an element
+export function hydrateImages(root) {
+    root?.querySelectorAll('img[data-image-id]:not([src])').forEach(async img => {
+        const url = await getImageURL(img.dataset.imageId);
+        if (url) {
+            img.src = url;
+        } else {
+            img.remove();
+        }
+    });
+}
+
+// Mastered cards count fully; cards part-way through progressive rounds count partially
+function getSessionProgress(session) {
+    const total = session.unseenIds.length + session.masteredIds.length;
+    const mastered = session.masteredIds.length;
+
+    let completed = mastered;
+    if (session.stages && session.stages.length > 1) {
+        session.unseenIds.forEach(id => {
+            completed += (session.cardStages?.[id] || 0) / session.stages.length;
+        });
+    }
+
+    return {
+        mastered,
+        total,
+        percent: total > 0 ? (completed / total) * 100 : 0
+    };
+}
+
 export function shuffleArray(array) {
     const arr = [...array];
     for (let i = arr.length - 1; i > 0; i--) {
@@ -80,7 +123,7 @@ function renderHomeQuickActions(handlers) {
     let totalDue = 0;
     setIds.forEach(id => {
         const set = allSets[id];
-        totalDue += getDueCards(id).length;
+        totalDue += getDueCount(id);
     });
 
     const dueBtn = document.getElementById('quickActionDue');
@@ -100,9 +143,8 @@ function renderHomeResumeSection(handlers) {
 
     if (savedSession && allSets[savedSession.setId]) {
         const set = allSets[savedSession.setId];
-        const total = savedSession.unseenIds.length + savedSession.masteredIds.length;
-        const mastered = savedSession.masteredIds.length;
-        const progress = total > 0 ? Math.round((mastered / total) * 100) : 0;
+        const { mastered, total, percent } = getSessionProgress(savedSession);
+        const progress = Math.round(percent);
 
         container.classList.remove('hidden');
         card.innerHTML = `
@@ -160,7 +202,7 @@ function renderHomeSetGrid(handlers) {
         const set = allSets[setId];
         const cardCount = set.cards.length;
         const starredCount = set.cards.filter(c => c.starred).length;
-        const dueCount = getDueCards(setId).length;
+        const dueCount = getDueCount(setId);
         const masteredCount = set.cards.filter(c => getMasteryLevel(c.stats) >= 4).length;
         const progress = cardCount > 0 ? Math.round((masteredCount / cardCount) * 100) : 0;
 
@@ -252,10 +294,7 @@ function renderSetViewHeader(set, handlers) {
     if (title) title.textContent = set.name;
     if (cardCount) cardCount.textContent = set.cards.length;
     if (starredCount) starredCount.textContent = set.cards.filter(c => c.starred).length;
-    if (dueCount) {
-        const due = set.cards.filter(c => c.stats?.dueAt <= Date.now()).length;
-        dueCount.textContent = due;
-    }
+    if (dueCount) dueCount.textContent = getDueCount(set.uuid);
 }
 
 function renderFlashcardCarousel(set, handlers) {
@@ -284,8 +323,20 @@ function renderFlashcardCarousel(set, handlers) {
 
     if (!card) return;
 
-    if (flashcardFront) flashcardFront.textContent = card.term;
-    if (flashcardBack) flashcardBack.textContent = card.definition;
+    // Front shows the prompt for the side being answered with
+    const answerSide = handlers.currentSide || ANSWER_SIDES.DEFINITION;
+    if (flashcardFront) {
+        flashcardFront.innerHTML = cardImageHtml(getCardImage(card, getPromptField(card, answerSide))) +
+            `<div>${renderRichText(getPromptText(card, answerSide))}</div>`;
+        hydrateImages(flashcardFront);
+    }
+    if (flashcardBack) {
+        // Cloze cards flip to the whole sentence with the blank filled in
+        const backText = isClozeCard(card) ? fillCloze(card.cloze.text) : getAnswerText(card, answerSide);
+        flashcardBack.innerHTML = cardImageHtml(getCardImage(card, getAnswerField(card, answerSide))) +
+            `<div>${renderRichText(backText)}</div>`;
+        hydrateImages(flashcardBack);
+    }
     if (flashcardCounter) flashcardCounter.textContent = `${index + 1} / ${set.cards.length}`;
 
     // Reset flip state
@@ -296,6 +347,8 @@ function renderSetViewActions(set, handlers) {
     const learnBtn = document.getElementById('setViewLearnBtn');
     const starredBtn = document.getElementById('setViewStarredBtn');
     const dueBtn = document.getElementById('setViewDueBtn');
+    const testBtn = document.getElementById('setViewTestBtn');
+    const matchBtn = document.getElementById('setViewMatchBtn');
 
     const starredCount = set.cards.filter(c => c.starred).length;
     const dueCount = set.cards.filter(c => c.stats?.dueAt <= Date.now()).length;
@@ -311,12 +364,214 @@ function renderSetViewActions(set, handlers) {
         const countSpan = dueBtn.querySelector('.due-count');
         if (countSpan) countSpan.textContent = dueCount;
     }
+    if (testBtn) {
+        testBtn.disabled = set.cards.length < 2;
+    }
+    if (matchBtn) {
+        matchBtn.disabled = set.cards.length < 2;
+    }
+}
+
+// Thumbnail of a card field's image in the term list, with a remove button
+function termImageHtml(card, field) {
+    const imageId = getCardImage(card, field);
+    if (!imageId) return '';
+
+    return `
+        <div class="relative inline-block mt-1 mb-2">
+            ${cardImageHtml(imageId, 'h-20 border border-slate-200')}
+            <button class="remove-image-btn absolute -top-2 -right-2 w-6 h-6 flex items-center justify-center bg-white rounded-full shadow
+                           text-slate-400 hover:text-red-500 transition-colors"
+                    data-card-id="${card.uuid}" data-field="${field}" aria-label="Remove image">
+                <span class="material-symbols-outlined text-base">close</span>
+            </button>
+        </div>
+    `;
+}
+
+function termImageButtonHtml(card, field) {
+    return `
+        <button class="add-image-btn p-1 text-slate-300 hover:text-indigo-600 rounded transition-colors opacity-0 group-hover:opacity-100"
+                data-card-id="${card.uuid}" data-field="${field}"
+                aria-label="${getCardImage(card, field) ? 'Replace' : 'Add'} ${field} image" title="Add image (or paste / drop one here)">
+            <span class="material-symbols-outlined text-lg">add_photo_alternate</span>
+        </button>
+    `;
+}
+
+// Editable hint line, shown on hover when empty
+function termHintHtml(card) {
+    return `
+        <div class="flex items-baseline gap-1 text-xs text-amber-600 mt-1
+                    ${card.hint ? '' : 'opacity-0 group-hover:opacity-100 focus-within:opacity-100'}">
+            <span class="material-symbols-outlined text-sm self-center">lightbulb</span>
+            <div class="hint-text min-w-[6rem] rounded px-1 hover:bg-amber-50"
+                 contenteditable="true"
+                 data-card-id="${card.uuid}"
+                 data-field="hint"
+                 data-placeholder="Add a hint or mnemonic">${renderRichText(card.hint || '')}</div>
+        </div>
+    `;
+}
+
+// Editable line of other answers accepted for a card field, shown on hover when empty
+function termAlternativesHtml(card, field) {
+    const alternatives = getCardAlternatives(card, field);
+    return `
+        <div class="flex items-baseline gap-1 text-xs text-slate-400 mb-1
+                    ${alternatives.length ? '' : 'opacity-0 group-hover:opacity-100 focus-within:opacity-100'}">
+            <span class="flex-shrink-0">Also accepted:</span>
+            <span class="alt-text min-w-[6rem] rounded px-1 hover:bg-slate-50"
+                  contenteditable="true"
+                  data-card-id="${card.uuid}"
+                  data-field="${field}"
+                  data-placeholder="separate answers with ;">${escapeHtml(formatAlternatives(alternatives))}</span>
+        </div>
+    `;
+}
+
+// Record and attach-file buttons for a card field's pronunciation
+function termAudioButtonsHtml(card, field) {
+    const action = getCardRecording(card, field) ? 'Replace' : 'Add';
+    return `
+        <button class="record-audio-btn p-1 text-slate-300 hover:text-indigo-600 rounded transition-colors opacity-0 group-hover:opacity-100"
+                data-card-id="${card.uuid}" data-field="${field}"
+                aria-label="Record ${field} audio" title="${action} a recording (or drop an audio file here)">
+            <span class="material-symbols-outlined text-lg">mic</span>
+        </button>
+        <button class="add-audio-btn p-1 text-slate-300 hover:text-indigo-600 rounded transition-colors opacity-0 group-hover:opacity-100"
+                data-card-id="${card.uuid}" data-field="${field}"
+                aria-label="${action} ${field} audio file" title="${action} an audio file">
+            <span class="material-symbols-outlined text-lg">audio_file</span>
+        </button>
+    `;
+}
+
+// Chip for a card field's attached recording, with play and remove buttons
+function termRecordingHtml(card, field) {
+    if (!getCardRecording(card, field)) return '';
+
+    return `
+        <div class="inline-flex items-center gap-1 mt-1 mb-2 pl-2 pr-1 py-0.5 rounded-full bg-indigo-50 text-indigo-600 text-xs">
+            <button class="play-recording-btn flex items-center gap-1 hover:text-indigo-800"
+                    data-card-id="${card.uuid}" data-field="${field}" aria-label="Play ${field} recording">
+                <span class="material-symbols-outlined text-base">play_circle</span>
+                Recording
+            </button>
+            <button class="remove-recording-btn p-0.5 rounded-full text-indigo-300 hover:text-red-500"
+                    data-card-id="${card.uuid}" data-field="${field}" aria-label="Remove ${field} recording">
+                <span class="material-symbols-outlined text-base">close</span>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Show whether a card field's record button is currently recording
+ * @param {string} cardId
+ * @param {string} field - 'term' or 'definition'
+ * @param {boolean} isRecording
+ */
+export function renderRecordingButton(cardId, field, isRecording) {
+    const btn = document.querySelector(`.record-audio-btn[data-card-id="${cardId}"][data-field="${field}"]`);
+    if (!btn) return;
+
+    btn.classList.toggle('text-red-500', isRecording);
+    btn.classList.toggle('animate-pulse', isRecording);
+    btn.classList.toggle('opacity-100', isRecording);
+    btn.classList.toggle('text-slate-300', !isRecording);
+    btn.querySelector('.material-symbols-outlined').textContent = isRecording ? 'stop_circle' : 'mic';
+    btn.setAttribute('aria-label', isRecording ? 'Stop recording' : `Record ${field} audio`);
+}
+
+// One row of the term list
+function termItemHtml(card) {
+    const mastery = getMasteryLevel(card.stats);
+    const masteryLabel = getMasteryLabel(mastery);
+    const masteryColor = getMasteryColor(mastery);
+    const nextReview = getNextReviewText(card.stats?.dueAt);
+    const isCloze = isClozeCard(card);
+
+    // Cloze cards edit their source text; the answer line is derived from it
+    return `
+        <div class="term-item group flex items-start gap-3 p-4 bg-white rounded-lg border border-slate-200 
+                    hover:border-slate-300 hover:shadow-sm transition-all" data-card-id="${card.uuid}">
+            <button class="star-btn flex-shrink-0 p-1.5 rounded-lg transition-all
+                           ${card.starred ? 'text-yellow-500 bg-yellow-50' : 'text-slate-300 hover:text-yellow-400 hover:bg-yellow-50'}"
+                    data-card-id="${card.uuid}" aria-label="${card.starred ? 'Unstar' : 'Star'}">
+                <span class="material-symbols-outlined ${card.starred ? 'filled' : ''}">star</span>
+            </button>
+            
+            <div class="flex-1 min-w-0">
+                <div class="image-zone" data-card-id="${card.uuid}" data-image-field="term">
+                    <div class="flex items-center gap-2 mb-1">
+                        <span class="term-text font-medium text-slate-800" 
+                              contenteditable="true" 
+                              data-card-id="${card.uuid}" 
+                              data-field="${isCloze ? 'cloze' : 'term'}">${renderRichText(isCloze ? card.cloze.text : card.term)}</span>
+                        ${termImageButtonHtml(card, 'term')}
+                        ${termAudioButtonsHtml(card, 'term')}
+                        ${isCloze ? `<span class="text-xs px-2 py-0.5 rounded-full text-purple-600 bg-purple-50">Cloze ${card.cloze.index}</span>` : ''}
+                        <span class="text-xs px-2 py-0.5 rounded-full ${masteryColor} bg-slate-100">${masteryLabel}</span>
+                        ${card.stats?.dueAt ? `<span class="text-xs text-slate-400">${nextReview}</span>` : ''}
+                    </div>
+                    ${isCloze ? '' : termAlternativesHtml(card, 'term')}
+                    ${termImageHtml(card, 'term')}
+                    ${termRecordingHtml(card, 'term')}
+                </div>
+                ${isCloze ? `
+                <div class="def-text text-sm text-slate-500">${renderRichText(card.term)}</div>
+                ` : `
+                <div class="image-zone" data-card-id="${card.uuid}" data-image-field="definition">
+                    <div class="flex items-start gap-2">
+                        <div class="def-text text-sm text-slate-500" 
+                           contenteditable="true" 
+                           data-card-id="${card.uuid}" 
+                           data-field="definition">${renderRichText(card.definition)}</div>
+                        ${termImageButtonHtml(card, 'definition')}
+                        ${termAudioButtonsHtml(card, 'definition')}
+                    </div>
+                    ${termAlternativesHtml(card, 'definition')}
+                    ${termImageHtml(card, 'definition')}
+                    ${termRecordingHtml(card, 'definition')}
+                </div>
+                `}
+                ${termHintHtml(card)}
+            </div>
+            
+            <div class="flex-shrink-0 flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button class="speak-btn p-2 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
+                        data-card-id="${card.uuid}" data-term="${escapeHtml(isCloze ? fillCloze(card.cloze.text) : card.term)}" aria-label="Listen">
+                    <span class="material-symbols-outlined">volume_up</span>
+                </button>
+                <button class="delete-card-btn p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        data-card-id="${card.uuid}" aria-label="Delete">
+                    <span class="material-symbols-outlined">delete</span>
+                </button>
+            </div>
+        </div>
+    `;
 }
 
+// Term lists render in blocks of cards, and only the blocks near the
+// viewport are in the DOM; spacers stand in for the rest
+const TERM_BLOCK_SIZE = 40;
+const ESTIMATED_TERM_HEIGHT = 110;
+
+// Measured block heights, by the ID of the block's first card
+const termBlockHeights = new Map();
+let termListScrollHandler = null;
+
 function renderTermList(set, handlers) {
     const container = document.getElementById('setViewTermList');
     if (!container) return;
 
+    if (termListScrollHandler) {
+        window.removeEventListener('scroll', termListScrollHandler);
+        window.removeEventListener('resize', termListScrollHandler);
+        termListScrollHandler = null;
+    }
+
     if (set.cards.length === 0) {
         container.innerHTML = `
             <div class="text-center py-12 text-slate-400">
@@ -328,66 +583,173 @@ function renderTermList(set, handlers) {
         return;
     }
 
-    container.innerHTML = set.cards.map((card, index) => {
-        const mastery = getMasteryLevel(card.stats);
-        const masteryLabel = getMasteryLabel(mastery);
-        const masteryColor = getMasteryColor(mastery);
-        const nextReview = getNextReviewText(card.stats?.dueAt);
+    container.innerHTML = `
+        <div class="term-list-spacer"></div>
+        <div class="term-list-window"></div>
+        <div class="term-list-spacer"></div>
+    `;
+    const [topSpacer, listWindow, bottomSpacer] = container.children;
 
-        return `
-            <div class="term-item group flex items-start gap-3 p-4 bg-white rounded-lg border border-slate-200 
-                        hover:border-slate-300 hover:shadow-sm transition-all" data-card-id="${card.uuid}">
-                <button class="star-btn flex-shrink-0 p-1.5 rounded-lg transition-all
-                               ${card.starred ? 'text-yellow-500 bg-yellow-50' : 'text-slate-300 hover:text-yellow-400 hover:bg-yellow-50'}"
-                        data-card-id="${card.uuid}" aria-label="${card.starred ? 'Unstar' : 'Star'}">
-                    <span class="material-symbols-outlined ${card.starred ? 'filled' : ''}">star</span>
-                </button>
-                
-                <div class="flex-1 min-w-0">
-                    <div class="flex items-center gap-2 mb-1">
-                        <span class="term-text font-medium text-slate-800" 
-                              contenteditable="true" 
-                              data-card-id="${card.uuid}" 
-                              data-field="term">${escapeHtml(card.term)}</span>
-                        <span class="text-xs px-2 py-0.5 rounded-full ${masteryColor} bg-slate-100">${masteryLabel}</span>
-                        ${card.stats?.dueAt ? `<span class="text-xs text-slate-400">${nextReview}</span>` : ''}
-                    </div>
-                    <p class="def-text text-sm text-slate-500" 
-                       contenteditable="true" 
-                       data-card-id="${card.uuid}" 
-                       data-field="definition">${escapeHtml(card.definition)}</p>
-                </div>
-                
-                <div class="flex-shrink-0 flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                    <button class="speak-btn p-2 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
-                            data-term="${escapeHtml(card.term)}" aria-label="Listen">
-                        <span class="material-symbols-outlined">volume_up</span>
-                    </button>
-                    <button class="delete-card-btn p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-                            data-card-id="${card.uuid}" aria-label="Delete">
-                        <span class="material-symbols-outlined">delete</span>
-                    </button>
+    const blockCount = Math.ceil(set.cards.length / TERM_BLOCK_SIZE);
+    const blockCards = (block) => set.cards.slice(block * TERM_BLOCK_SIZE, (block + 1) * TERM_BLOCK_SIZE);
+    const blockHeight = (block) => termBlockHeights.get(set.cards[block * TERM_BLOCK_SIZE].uuid) ??
+        blockCards(block).length * ESTIMATED_TERM_HEIGHT;
+    let shown = null;
+
+    const update = () => {
+        // Leave the window alone while a card in it is being edited
+        if (shown && listWindow.contains(document.activeElement)) return;
+
+        listWindow.querySelectorAll('.term-block').forEach(el => {
+            if (el.offsetHeight > 0) termBlockHeights.set(el.dataset.firstCardId, el.offsetHeight);
+        });
+
+        // Render a screen's worth of blocks either side of the visible part
+        const listTop = container.getBoundingClientRect().top;
+        const from = -listTop - window.innerHeight;
+        const to = -listTop + window.innerHeight * 2;
+
+        let first = null;
+        let last = 0;
+        let offset = 0;
+        for (let block = 0; block < blockCount; block++) {
+            const height = blockHeight(block);
+            if (first === null && offset + height > from) first = block;
+            if (offset < to) last = block;
+            offset += height;
+        }
+        first = Math.min(first ?? blockCount - 1, last);
+
+        if (shown && shown.first === first && shown.last === last) return;
+        shown = { first, last };
+
+        let above = 0;
+        let below = 0;
+        for (let block = 0; block < blockCount; block++) {
+            if (block < first) above += blockHeight(block);
+            if (block > last) below += blockHeight(block);
+        }
+        topSpacer.style.height = `${above}px`;
+        bottomSpacer.style.height = `${below}px`;
+
+        listWindow.innerHTML = Array.from({ length: last - first + 1 }, (_, i) => {
+            const cards = blockCards(first + i);
+            return `
+                <div class="term-block space-y-3 pb-3" data-first-card-id="${cards[0].uuid}">
+                    ${cards.map(termItemHtml).join('')}
                 </div>
-            </div>
-        `;
-    }).join('');
+            `;
+        }).join('');
+        bindTermItems(listWindow, set, handlers);
+    };
+
+    update();
+
+    let frameRequested = false;
+    termListScrollHandler = () => {
+        if (frameRequested) return;
+        frameRequested = true;
+        requestAnimationFrame(() => {
+            frameRequested = false;
+            if (container.isConnected && container.offsetParent) update();
+        });
+    };
+    window.addEventListener('scroll', termListScrollHandler, { passive: true });
+    window.addEventListener('resize', termListScrollHandler);
+}
 
-    // Event listeners
-    container.querySelectorAll('.star-btn').forEach(btn => {
+// Wire up the controls of rendered term items
+function bindTermItems(root, set, handlers) {
+    root.querySelectorAll('.star-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             handlers.onToggleStar?.(btn.dataset.cardId);
         });
     });
 
-    container.querySelectorAll('.speak-btn').forEach(btn => {
+    root.querySelectorAll('.speak-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onSpeak?.(btn.dataset.cardId, btn.dataset.term);
+        });
+    });
+
+    root.querySelectorAll('.record-audio-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onToggleRecording?.(btn.dataset.cardId, btn.dataset.field);
+        });
+    });
+
+    root.querySelectorAll('.add-audio-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onPickAudio?.(btn.dataset.cardId, btn.dataset.field);
+        });
+    });
+
+    root.querySelectorAll('.play-recording-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onPlayRecording?.(btn.dataset.cardId, btn.dataset.field);
+        });
+    });
+
+    root.querySelectorAll('.remove-recording-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onRemoveRecording?.(btn.dataset.cardId, btn.dataset.field);
+        });
+    });
+
+    root.querySelectorAll('.add-image-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onPickImage?.(btn.dataset.cardId, btn.dataset.field);
+        });
+    });
+
+    root.querySelectorAll('.remove-image-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
-            handlers.onSpeak?.(btn.dataset.term);
+            handlers.onRemoveImage?.(btn.dataset.cardId, btn.dataset.field);
+        });
+    });
+
+    // Images (and audio files) can be pasted into a side's text or dropped onto it
+    root.querySelectorAll('.image-zone').forEach(zone => {
+        const attach = (files) => {
+            const image = [...(files || [])].find(file => file.type.startsWith('image/'));
+            const audio = [...(files || [])].find(file => file.type.startsWith('audio/'));
+            if (image) handlers.onAttachImage?.(zone.dataset.cardId, zone.dataset.imageField, image);
+            if (audio) handlers.onAttachAudio?.(zone.dataset.cardId, zone.dataset.imageField, audio);
+            return !!(image || audio);
+        };
+
+        zone.addEventListener('paste', (e) => {
+            if (attach(e.clipboardData?.files)) e.preventDefault();
+        });
+        zone.addEventListener('dragover', (e) => {
+            if (e.dataTransfer?.types.includes('Files')) {
+                e.preventDefault();
+                zone.classList.add('bg-indigo-50');
+            }
+        });
+        zone.addEventListener('dragleave', () => zone.classList.remove('bg-indigo-50'));
+        zone.addEventListener('drop', (e) => {
+            zone.classList.remove('bg-indigo-50');
+            if (attach(e.dataTransfer?.files)) e.preventDefault();
         });
     });
 
-    container.querySelectorAll('.delete-card-btn').forEach(btn => {
+    hydrateImages(root);
+
+    // Keep showing a recording that is still running after a re-render
+    if (handlers.recording) {
+        renderRecordingButton(handlers.recording.cardId, handlers.recording.field, true);
+    }
+
+    root.querySelectorAll('.delete-card-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             if (confirm('Delete this card?')) {
@@ -396,14 +758,34 @@ function renderTermList(set, handlers) {
         });
     });
 
-    // Inline editing
-    container.querySelectorAll('[contenteditable="true"]').forEach(el => {
+    // Inline editing: the formatted text is swapped for its source while editing
+    root.querySelectorAll('[contenteditable="true"]:not(.alt-text)').forEach(el => {
+        // Saving replaces the card object, so read the current one each time
+        const getSource = () => {
+            const card = getCard(set.uuid, el.dataset.cardId);
+            if (!card) return '';
+            return (el.dataset.field === 'cloze' ? card.cloze.text : card[el.dataset.field]) ?? '';
+        };
+
+        el.addEventListener('focus', () => {
+            el.textContent = getSource();
+            el.classList.add('whitespace-pre-wrap');
+        });
+
         el.addEventListener('blur', () => {
-            handlers.onUpdateCard?.(el.dataset.cardId, el.dataset.field, el.textContent.trim());
+            const value = el.textContent.trim();
+            const unchanged = value === getSource();
+            el.classList.remove('whitespace-pre-wrap');
+            el.innerHTML = renderRichText(value);
+            if (!unchanged) handlers.onUpdateCard?.(el.dataset.cardId, el.dataset.field, value);
         });
 
         el.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
+            // Shift+Enter adds a line (for lists and code blocks), Enter saves
+            if (e.key === 'Enter' && e.shiftKey) {
+                e.preventDefault();
+                document.execCommand('insertText', false, '\n');
+            } else if (e.key === 'Enter') {
                 e.preventDefault();
                 el.blur();
             }
@@ -413,6 +795,19 @@ function renderTermList(set, handlers) {
             }
         });
     });
+
+    root.querySelectorAll('.alt-text').forEach(el => {
+        el.addEventListener('blur', () => {
+            handlers.onUpdateAlternatives?.(el.dataset.cardId, el.dataset.field, el.textContent);
+        });
+
+        el.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === 'Escape') {
+                e.preventDefault();
+                el.blur();
+            }
+        });
+    });
 }
 
 // ============================================================
@@ -428,28 +823,35 @@ function renderLearnProgress(session) {
     const progressBar = document.getElementById('progressBar');
     const progressText = document.getElementById('progressText');
 
-    const total = session.unseenIds.length + session.masteredIds.length;
-    const mastered = session.masteredIds.length;
-    const progress = total > 0 ? (mastered / total) * 100 : 0;
+    const { mastered, total, percent } = getSessionProgress(session);
 
-    if (progressBar) progressBar.style.width = `${progress}%`;
+    if (progressBar) progressBar.style.width = `${percent}%`;
     if (progressText) progressText.textContent = `${mastered} / ${total}`;
 }
 
 export function renderLearnQuestion(session, set, handlers) {
     const questionText = document.getElementById('questionText');
+    const questionImage = document.getElementById('questionImage');
     const gradeButtons = document.getElementById('gradeButtons');
     const answerOptions = document.getElementById('answerOptions');
+    const writtenAnswer = document.getElementById('writtenAnswer');
+    const revealSection = document.getElementById('revealSection');
 
     if (!session.currentQuestionId) return;
 
     const card = set.cards.find(c => c.uuid === session.currentQuestionId);
     if (!card) return;
 
-    // Render question (definition)
-    if (questionText) {
+    const answerSide = session.currentAnswerSide || ANSWER_SIDES.TERM;
+
+    // Render question (the side opposite the answer)
+    // Formatted prompts are shown as-is; plain ones get clickable words
+    const prompt = getPromptText(card, answerSide);
+    if (questionText && hasFormatting(prompt)) {
+        questionText.innerHTML = renderRichText(prompt);
+    } else if (questionText) {
         questionText.innerHTML = '';
-        const words = card.definition.split(/\s+/);
+        const words = prompt.split(/\s+/);
         words.forEach(word => {
             const span = document.createElement('span');
             span.textContent = word + ' ';
@@ -462,15 +864,173 @@ export function renderLearnQuestion(session, set, handlers) {
         });
     }
 
-    // Render grade buttons (SM-2 style)
+    renderHintControl(card, handlers);
+
+    if (questionImage) {
+        const imageId = getCardImage(card, getPromptField(card, answerSide));
+        questionImage.innerHTML = cardImageHtml(imageId, 'max-h-56');
+        questionImage.classList.toggle('hidden', !imageId);
+        hydrateImages(questionImage);
+    }
+
+    // Grade buttons only appear once the answer is revealed
     if (gradeButtons) {
-        // Always use multiple choice mode
         gradeButtons.classList.add('hidden');
-        if (answerOptions) answerOptions.classList.remove('hidden');
+    }
+
+    // SM-2: reveal the answer, then self-grade
+    const isReveal = getFeatures().spacedRepetition;
+    const isWritten = !isReveal && session.currentQuestionType === QUESTION_TYPES.WRITTEN;
+    if (revealSection) revealSection.classList.toggle('hidden', !isReveal);
+    if (answerOptions) answerOptions.classList.toggle('hidden', isReveal || isWritten);
+    if (writtenAnswer) writtenAnswer.classList.toggle('hidden', !isWritten);
+
+    if (isReveal) {
+        renderRevealPrompt(handlers);
+    } else if (isWritten) {
+        renderWrittenQuestion(card, answerSide, handlers);
+    } else if (session.currentQuestionType === QUESTION_TYPES.TRUE_FALSE) {
+        renderTrueFalse(session, set, handlers);
+    } else {
         renderMultipleChoice(session, set, handlers);
     }
 }
 
+// The hint starts hidden behind a button; cards without one show neither
+function renderHintControl(card, handlers) {
+    const hintArea = document.getElementById('hintArea');
+    const showHintBtn = document.getElementById('showHintBtn');
+    const hintText = document.getElementById('hintText');
+    if (!hintArea) return;
+
+    hintArea.classList.toggle('hidden', !card.hint);
+    if (hintText) {
+        hintText.classList.add('hidden');
+        hintText.innerHTML = '';
+    }
+    if (showHintBtn) {
+        showHintBtn.classList.remove('hidden');
+        showHintBtn.onclick = () => handlers.onShowHint?.();
+    }
+}
+
+export function renderHint(card) {
+    const showHintBtn = document.getElementById('showHintBtn');
+    const hintText = document.getElementById('hintText');
+
+    if (showHintBtn) showHintBtn.classList.add('hidden');
+    if (hintText) {
+        hintText.innerHTML = renderRichText(card.hint);
+        hintText.classList.remove('hidden');
+    }
+}
+
+function renderRevealPrompt(handlers) {
+    const revealBtn = document.getElementById('revealBtn');
+    const revealedAnswer = document.getElementById('revealedAnswer');
+
+    if (revealedAnswer) revealedAnswer.classList.add('hidden');
+    if (revealBtn) {
+        revealBtn.classList.remove('hidden');
+        revealBtn.onclick = () => handlers.onReveal?.();
+    }
+}
+
+/**
+ * Show the answer and the grade buttons, each previewing its next interval
+ * @param {Object} card
+ * @param {string} answerSide
+ * @param {Object} handlers - { onGrade(grade) }
+ * @param {boolean} hintUsed - A hint caps the grade at Hard, so Good and Easy are disabled
+ */
+export function renderRevealedAnswer(card, answerSide, handlers, hintUsed = false) {
+    const revealBtn = document.getElementById('revealBtn');
+    const revealedAnswer = document.getElementById('revealedAnswer');
+    const gradeButtons = document.getElementById('gradeButtons');
+
+    if (revealBtn) revealBtn.classList.add('hidden');
+    if (revealedAnswer) {
+        revealedAnswer.innerHTML = cardImageHtml(getCardImage(card, getAnswerField(card, answerSide)), 'block max-h-40 mb-3') +
+            renderRichText(getAnswerText(card, answerSide));
+        revealedAnswer.classList.remove('hidden');
+        hydrateImages(revealedAnswer);
+    }
+
+    if (!gradeButtons) return;
+
+    // Each button previews the interval that grade would schedule
+    gradeButtons.innerHTML = Object.values(GRADES).map(grade => {
+        const colors = GRADE_COLORS[grade];
+        const projected = calculateSM2(card.stats, grade);
+        const capped = hintUsed && grade > GRADES.HARD;
+        return `
+            <button class="grade-btn flex-1 py-3 px-4 rounded-lg font-semibold shadow-sm transition-all
+                           ${colors.bg} ${colors.hover} ${colors.text} disabled:opacity-40 disabled:cursor-not-allowed"
+                    data-grade="${grade}" ${capped ? 'disabled title="A hint was shown, so Hard is the best grade"' : ''}>
+                <span class="block">${GRADE_LABELS[grade]}</span>
+                <span class="block text-xs font-normal opacity-80">${formatInterval(projected.interval)}</span>
+            </button>
+        `;
+    }).join('');
+
+    gradeButtons.querySelectorAll('.grade-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            handlers.onGrade?.(Number(btn.dataset.grade));
+        });
+    });
+
+    gradeButtons.classList.remove('hidden');
+}
+
+function renderWrittenQuestion(card, answerSide, handlers) {
+    const form = document.getElementById('writtenAnswer');
+    const label = document.getElementById('writtenLabel');
+    const input = document.getElementById('writtenInput');
+    const feedback = document.getElementById('writtenFeedback');
+    const skipBtn = document.getElementById('writtenSkipBtn');
+    if (!form || !input) return;
+
+    if (label) label.textContent = `Type the ${getAnswerLabel(card, answerSide)}`;
+    input.value = '';
+    input.disabled = false;
+    input.classList.remove('bg-green-100', 'border-green-500', 'text-green-800',
+        'bg-red-100', 'border-red-500', 'text-red-800');
+    input.classList.add('border-slate-300');
+    if (feedback) feedback.classList.add('hidden');
+    if (skipBtn) skipBtn.disabled = false;
+
+    // Re-rendered per question, so assign rather than stack listeners
+    form.onsubmit = (e) => {
+        e.preventDefault();
+        if (input.value.trim()) handlers.onWrittenAnswer?.(input.value);
+    };
+    if (skipBtn) skipBtn.onclick = () => handlers.onWrittenAnswer?.('');
+
+    setTimeout(() => input.focus(), 50);
+}
+
+export function renderWrittenFeedback(result, correctAnswer) {
+    const input = document.getElementById('writtenInput');
+    const feedback = document.getElementById('writtenFeedback');
+    const skipBtn = document.getElementById('writtenSkipBtn');
+    if (!input) return;
+
+    input.disabled = true;
+    if (skipBtn) skipBtn.disabled = true;
+    input.classList.remove('border-slate-300');
+    if (result.correct) {
+        input.classList.add('bg-green-100', 'border-green-500', 'text-green-800');
+    } else {
+        input.classList.add('bg-red-100', 'border-red-500', 'text-red-800');
+    }
+
+    // Accepted with a typo - show the proper spelling
+    if (feedback && result.correct && !result.exact) {
+        feedback.textContent = `Almost! It's spelled "${toPlainText(correctAnswer)}".`;
+        feedback.className = 'mt-3 text-sm text-green-700';
+    }
+}
+
 function renderMultipleChoice(session, set, handlers) {
     const answerOptions = document.getElementById('answerOptions');
     if (!answerOptions) return;
@@ -478,24 +1038,65 @@ function renderMultipleChoice(session, set, handlers) {
     const currentCard = set.cards.find(c => c.uuid === session.currentQuestionId);
     if (!currentCard) return;
 
-    let options = [currentCard];
-    const otherCards = set.cards.filter(c => c.uuid !== currentCard.uuid);
-    const shuffled = shuffleArray(otherCards);
+    // Options and distractors come from the side being answered with
+    const answerSide = session.currentAnswerSide || ANSWER_SIDES.TERM;
 
     const numOptions = Math.min(4, set.cards.length);
-    while (options.length < numOptions && shuffled.length > 0) {
-        options.push(shuffled.pop());
-    }
-
-    options = shuffleArray(options);
+    const options = shuffleArray([
+        currentCard,
+        ...pickDistractors(set, currentCard, answerSide, numOptions - 1)
+    ]);
 
     answerOptions.innerHTML = options.map(card => `
         <button class="answer-btn w-full text-left p-4 border-2 border-slate-300 rounded-lg 
                        hover:bg-slate-50 hover:border-indigo-400 transition-all"
-                data-id="${card.uuid}">
-            ${escapeHtml(card.term)}
+                data-id="${card.uuid}" data-chosen-id="${card.uuid}">
+            ${cardImageHtml(getCardImage(card, getAnswerField(card, answerSide)), 'block max-h-24 mb-2')}
+            ${renderRichText(getAnswerText(card, answerSide))}
         </button>
     `).join('');
+    hydrateImages(answerOptions);
+
+    answerOptions.querySelectorAll('.answer-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const isCorrect = btn.dataset.id === currentCard.uuid;
+            handlers.onAnswer?.(isCorrect, btn, currentCard.uuid);
+        });
+    });
+}
+
+function renderTrueFalse(session, set, handlers) {
+    const answerOptions = document.getElementById('answerOptions');
+    if (!answerOptions) return;
+
+    const currentCard = set.cards.find(c => c.uuid === session.currentQuestionId);
+    if (!currentCard) return;
+
+    const answerSide = session.currentAnswerSide || ANSWER_SIDES.TERM;
+
+    // Pair the prompt with its real answer or a plausible wrong one
+    const [distractor] = pickDistractors(set, currentCard, answerSide, 1);
+    const isTrue = !distractor || Math.random() < 0.5;
+    const shownCard = isTrue ? currentCard : distractor;
+    const sideLabel = getAnswerLabel(currentCard, answerSide);
+
+    // The button matching the truth carries the card id, so feedback highlights it;
+    // "True" on a wrong pairing means the learner took the distractor for this card
+    answerOptions.innerHTML = `
+        <div class="md:col-span-2 p-4 rounded-lg bg-indigo-50 border border-indigo-100 text-center">
+            <p class="text-xs uppercase tracking-wide text-indigo-400 mb-1">Is this the ${sideLabel}?</p>
+            <div class="text-lg font-semibold text-slate-800">${renderRichText(getAnswerText(shownCard, answerSide))}</div>
+        </div>
+        ${[true, false].map(value => `
+            <button class="answer-btn w-full flex items-center justify-center gap-2 p-4 border-2 border-slate-300 rounded-lg
+                           hover:bg-slate-50 hover:border-indigo-400 transition-all font-semibold"
+                    data-id="${value === isTrue ? currentCard.uuid : ''}"
+                    data-chosen-id="${value ? shownCard.uuid : ''}">
+                <span class="material-symbols-outlined">${value ? 'check' : 'close'}</span>
+                ${value ? 'True' : 'False'}
+            </button>
+        `).join('')}
+    `;
 
     answerOptions.querySelectorAll('.answer-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -523,10 +1124,12 @@ export function renderAnswerFeedback(selectedBtn, correctId, isCorrect) {
     });
 }
 
-export function renderLearnFeedback(isCorrect, correctAnswer) {
+export function renderLearnFeedback(isCorrect, correctAnswer, options = {}) {
     const feedbackSection = document.getElementById('feedbackSection');
     const feedbackTitle = document.getElementById('feedbackTitle');
     const feedbackText = document.getElementById('feedbackText');
+    const feedbackGiven = document.getElementById('feedbackGiven');
+    const overrideBtn = document.getElementById('overrideBtn');
     const learnContent = document.getElementById('learnContent');
 
     if (!feedbackSection) return;
@@ -534,6 +1137,13 @@ export function renderLearnFeedback(isCorrect, correctAnswer) {
     if (learnContent) learnContent.classList.add('hidden');
     feedbackSection.classList.remove('hidden');
 
+    // Written answers show what was typed and allow an "I was right" override
+    if (feedbackGiven) {
+        feedbackGiven.classList.toggle('hidden', !options.given);
+        feedbackGiven.textContent = options.given ? `You wrote: "${options.given}"` : '';
+    }
+    if (overrideBtn) overrideBtn.classList.toggle('hidden', !options.allowOverride);
+
     if (isCorrect) {
         feedbackTitle.textContent = 'Correct!';
         feedbackTitle.className = 'text-xl font-bold text-green-600';
@@ -541,7 +1151,11 @@ export function renderLearnFeedback(isCorrect, correctAnswer) {
     } else {
         feedbackTitle.textContent = 'Not quite...';
         feedbackTitle.className = 'text-xl font-bold text-red-600';
-        feedbackText.textContent = `The correct answer was "${correctAnswer}". We'll ask this again later.`;
+        feedbackText.innerHTML = `The correct answer was <span class="font-semibold">${renderRichText(correctAnswer)}</span>` +
+            (options.alternatives?.length
+                ? ` (also accepted: ${options.alternatives.map(a => `<span class="font-semibold">${renderRichText(a)}</span>`).join(', ')})`
+                : '') +
+            `. We'll ask this again later.`;
     }
 }
 
@@ -569,10 +1183,11 @@ export function renderLearnSummary(batchHistory) {
         summaryList.innerHTML = batchHistory.map(item => `
             <div class="flex justify-between items-center p-3 rounded-lg ${item.correct ? 'bg-green-50' : 'bg-red-50'} mb-2">
                 <div class="min-w-0">
-                    <p class="font-medium text-slate-800 truncate">${escapeHtml(item.card?.term || 'Unknown')}</p>
-                    <p class="text-sm text-slate-500 truncate">${escapeHtml(item.card?.definition || '')}</p>
+                    <div class="font-medium text-slate-800 truncate">${item.card?.term ? renderRichText(item.card.term) : 'Unknown'}</div>
+                    <div class="text-sm text-slate-500 truncate">${renderRichText(item.card?.definition || '')}</div>
                 </div>
-                <span class="${item.correct ? 'text-green-600' : 'text-red-600'} font-semibold ml-4">
+                <span class="flex items-center gap-1 ${item.correct ? 'text-green-600' : 'text-red-600'} font-semibold ml-4 flex-shrink-0">
+                    ${item.hinted ? '<span class="material-symbols-outlined text-base text-amber-500" title="Answered with a hint">lightbulb</span>' : ''}
                     ${item.correct ? 'Correct' : 'Missed'}
                 </span>
             </div>
@@ -603,3 +1218,827 @@ export function resetLearnUI() {
     if (summaryScreen) summaryScreen.classList.add('hidden');
     if (completionScreen) completionScreen.classList.add('hidden');
 }
+
+// ============================================================
+// TEST MODE RENDERING
+// ============================================================
+
+const TEST_TYPE_LABELS = {
+    [TEST_QUESTION_TYPES.MULTIPLE_CHOICE]: 'Multiple choice',
+    [TEST_QUESTION_TYPES.TRUE_FALSE]: 'True / False',
+    [TEST_QUESTION_TYPES.WRITTEN]: 'Written',
+    [TEST_QUESTION_TYPES.MATCHING]: 'Matching'
+};
+
+function showTestPanel(panelId) {
+    ['testSetup', 'testExam', 'testResults'].forEach(id => {
+        document.getElementById(id)?.classList.toggle('hidden', id !== panelId);
+    });
+}
+
+export function renderTestSetup(set, counts, history) {
+    const title = document.getElementById('testTitle');
+    const cardCount = document.getElementById('testCardCount');
+
+    showTestPanel('testSetup');
+    renderTestTimer('');
+
+    if (title) title.textContent = `${set.name} - Test`;
+    if (cardCount) {
+        cardCount.textContent = `${set.cards.length} cards available. Each card is asked at most once.`;
+    }
+
+    document.querySelectorAll('#testSetup input[data-test-type]').forEach(input => {
+        input.max = set.cards.length;
+        input.value = counts[input.dataset.testType] || 0;
+    });
+
+    renderTestHistory('testHistory', history);
+}
+
+export function renderTestExam(test, handlers) {
+    const container = document.getElementById('testQuestions');
+    if (!container) return;
+
+    showTestPanel('testExam');
+    window.scrollTo(0, 0);
+
+    container.innerHTML = test.questions.map((q, index) => `
+        <div class="test-question bg-white rounded-2xl shadow-lg p-6 break-inside-avoid" data-question-id="${q.id}">
+            <p class="text-xs uppercase tracking-wide text-slate-400 mb-2">
+                ${index + 1}. ${TEST_TYPE_LABELS[q.type]}
+            </p>
+            ${renderTestQuestionBody(q)}
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.test-question').forEach(el => {
+        const questionId = el.dataset.questionId;
+        const question = test.questions.find(q => q.id === questionId);
+
+        if (question.type === TEST_QUESTION_TYPES.MATCHING) {
+            el.querySelectorAll('select').forEach(select => {
+                select.addEventListener('change', () => {
+                    const matches = {};
+                    el.querySelectorAll('select').forEach(s => {
+                        if (s.value) matches[s.dataset.cardId] = s.value;
+                    });
+                    handlers.onAnswer?.(questionId, matches);
+                });
+            });
+        } else if (question.type === TEST_QUESTION_TYPES.WRITTEN) {
+            el.querySelector('input')?.addEventListener('input', (e) => {
+                handlers.onAnswer?.(questionId, e.target.value);
+            });
+        } else {
+            el.querySelectorAll('input[type="radio"]').forEach(radio => {
+                radio.addEventListener('change', () => {
+                    const value = question.type === TEST_QUESTION_TYPES.TRUE_FALSE
+                        ? radio.value === 'true'
+                        : radio.value;
+                    handlers.onAnswer?.(questionId, value);
+                });
+            });
+        }
+    });
+}
+
+function renderTestQuestionBody(q) {
+    const prompt = `<div class="text-lg text-slate-800 mb-4">${renderRichText(q.prompt)}</div>`;
+    const optionClass = 'flex items-center gap-3 p-3 border border-slate-200 rounded-lg hover:bg-slate-50 cursor-pointer';
+
+    if (q.type === TEST_QUESTION_TYPES.MULTIPLE_CHOICE) {
+        return prompt + `
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                ${q.options.map(option => `
+                    <label class="${optionClass}">
+                        <input type="radio" name="${q.id}" value="${option.cardId}" class="accent-indigo-600">
+                        <span>${renderRichText(option.text)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    if (q.type === TEST_QUESTION_TYPES.TRUE_FALSE) {
+        return prompt + `
+            <div class="p-3 mb-4 rounded-lg bg-indigo-50 border border-indigo-100">
+                <p class="text-xs uppercase tracking-wide text-indigo-400 mb-1">
+                    Is this the ${q.answerLabel}?
+                </p>
+                <div class="font-semibold text-slate-800">${renderRichText(q.shownText)}</div>
+            </div>
+            <div class="grid grid-cols-2 gap-3">
+                <label class="${optionClass}">
+                    <input type="radio" name="${q.id}" value="true" class="accent-indigo-600"> True
+                </label>
+                <label class="${optionClass}">
+                    <input type="radio" name="${q.id}" value="false" class="accent-indigo-600"> False
+                </label>
+            </div>
+        `;
+    }
+
+    if (q.type === TEST_QUESTION_TYPES.WRITTEN) {
+        return prompt + `
+            <input type="text" autocomplete="off" placeholder="Your answer..."
+                class="w-full p-3 border-2 border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
+        `;
+    }
+
+    // Matching: each prompt picks a letter from the shared answer bank
+    return `
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div class="space-y-3">
+                ${q.items.map(item => `
+                    <div class="flex items-center gap-3">
+                        <select data-card-id="${item.cardId}"
+                            class="w-16 p-2 border border-slate-300 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500">
+                            <option value=""></option>
+                            ${q.bank.map(b => `<option value="${b.cardId}">${b.key}</option>`).join('')}
+                        </select>
+                        <span class="text-slate-800">${renderRichText(item.prompt)}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <ol class="space-y-3 text-slate-600">
+                ${q.bank.map(b => `
+                    <li class="flex gap-2"><span class="font-semibold text-indigo-600">${b.key}.</span><span>${renderRichText(b.text)}</span></li>
+                `).join('')}
+            </ol>
+        </div>
+    `;
+}
+
+export function renderTestTimer(text) {
+    const timer = document.getElementById('testTimer');
+    if (timer) timer.textContent = text;
+}
+
+export function renderTestResults(result, history) {
+    const score = document.getElementById('testScore');
+    const detail = document.getElementById('testScoreDetail');
+    const breakdown = document.getElementById('testBreakdown');
+    const missedList = document.getElementById('testMissedList');
+
+    showTestPanel('testResults');
+    window.scrollTo(0, 0);
+
+    if (score) {
+        score.textContent = `${result.percent}%`;
+        score.className = `text-6xl font-extrabold ${result.percent >= 80 ? 'text-green-500' : result.percent >= 50 ? 'text-orange-500' : 'text-red-500'}`;
+    }
+    if (detail) {
+        const minutes = Math.max(1, Math.round(result.durationMs / 60000));
+        detail.textContent = `${result.correct} of ${result.total} correct in ${minutes} min`;
+    }
+
+    if (breakdown) {
+        breakdown.innerHTML = Object.entries(result.breakdown).map(([type, stats]) => `
+            <div class="p-3 bg-slate-50 rounded-lg text-center">
+                <p class="text-2xl font-bold text-slate-800">${stats.correct}/${stats.total}</p>
+                <p class="text-xs text-slate-500">${TEST_TYPE_LABELS[type]}</p>
+            </div>
+        `).join('');
+    }
+
+    if (missedList) {
+        missedList.innerHTML = result.missed.length === 0
+            ? '<p class="text-center text-green-600 font-semibold">No missed cards - perfect score!</p>'
+            : `
+                <h3 class="font-semibold text-slate-700 mb-3">Missed cards (${result.missed.length})</h3>
+                ${result.missed.map(item => `
+                    <div class="p-3 rounded-lg bg-red-50 mb-2">
+                        <div class="font-medium text-slate-800">${renderRichText(item.prompt)}</div>
+                        <div class="text-sm text-green-700">Answer: ${renderRichText(item.expected)}</div>
+                        <div class="text-sm text-red-600">You said: ${item.given ? renderRichText(item.given) : '<em>no answer</em>'}</div>
+                    </div>
+                `).join('')}
+            `;
+    }
+
+    renderTestHistory('testResultsHistory', history);
+}
+
+function renderTestHistory(containerId, history) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (history.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const best = Math.max(...history.map(h => h.percent));
+
+    // Most recent first, with the change from the attempt before
+    container.innerHTML = `
+        <h3 class="font-semibold text-slate-700 mb-3 flex items-center justify-between">
+            Previous attempts
+            <span class="text-sm font-normal text-slate-500">Best: ${best}%</span>
+        </h3>
+        <div class="space-y-2">
+            ${history.map((attempt, index) => {
+                const previous = history[index - 1];
+                const delta = previous ? attempt.percent - previous.percent : null;
+                return `
+                    <div class="flex items-center justify-between p-3 bg-slate-50 rounded-lg text-sm">
+                        <span class="text-slate-500">${new Date(attempt.takenAt).toLocaleString()}</span>
+                        <span class="flex items-center gap-3">
+                            <span class="text-slate-400">${attempt.correct}/${attempt.total}</span>
+                            ${delta !== null && delta !== 0 ? `
+                                <span class="${delta > 0 ? 'text-green-600' : 'text-red-500'}">${delta > 0 ? '+' : ''}${delta}</span>
+                            ` : ''}
+                            <span class="font-semibold text-slate-800 w-12 text-right">${attempt.percent}%</span>
+                        </span>
+                    </div>
+                `;
+            }).reverse().join('')}
+        </div>
+    `;
+}
+
+// ============================================================
+// MATCH GAME RENDERING
+// ============================================================
+
+function showMatchPanel(panelId) {
+    ['matchIntro', 'matchBoard', 'matchComplete'].forEach(id => {
+        document.getElementById(id)?.classList.toggle('hidden', id !== panelId);
+    });
+}
+
+export function renderMatchIntro(set, bestText, penaltySeconds) {
+    const title = document.getElementById('matchTitle');
+    const penaltyInfo = document.getElementById('matchPenaltyInfo');
+    const introBest = document.getElementById('matchIntroBest');
+
+    showMatchPanel('matchIntro');
+    renderMatchTimer('', 0);
+
+    if (title) title.textContent = `${set.name} - Match`;
+    if (penaltyInfo) penaltyInfo.textContent = `Each mismatch adds ${penaltySeconds} second${penaltySeconds === 1 ? '' : 's'}.`;
+    if (introBest) introBest.textContent = bestText ? `Personal best: ${bestText}` : '';
+}
+
+export function renderMatchBoard(tiles, handlers) {
+    const board = document.getElementById('matchBoard');
+    if (!board) return;
+
+    showMatchPanel('matchBoard');
+
+    board.innerHTML = tiles.map(tile => `
+        <button class="match-tile min-h-[7rem] p-3 bg-white rounded-xl shadow-md border-2 border-transparent text-slate-800 hover:border-purple-300 transition-colors break-words ${tile.side === 'definition' ? 'text-sm' : 'font-semibold'}"
+            data-tile-id="${tile.id}" draggable="true">
+            ${renderRichText(tile.text)}
+        </button>
+    `).join('');
+
+    board.querySelectorAll('.match-tile').forEach(el => {
+        const tileId = el.dataset.tileId;
+
+        el.addEventListener('click', () => handlers.onSelect?.(tileId));
+
+        // Dragging a tile onto another tries them as a pair
+        el.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', tileId);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        el.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            el.classList.add('border-purple-300');
+        });
+        el.addEventListener('dragleave', () => el.classList.remove('border-purple-300'));
+        el.addEventListener('drop', (e) => {
+            e.preventDefault();
+            el.classList.remove('border-purple-300');
+            const sourceId = e.dataTransfer.getData('text/plain');
+            if (sourceId && sourceId !== tileId) {
+                handlers.onDrop?.(sourceId, tileId);
+            }
+        });
+    });
+}
+
+/**
+ * Update the look of board tiles
+ * @param {Array} tileIds - Tiles to update
+ * @param {string} status - 'idle' | 'selected' | 'matched' | 'mismatch'
+ */
+export function renderMatchTileState(tileIds, status) {
+    tileIds.forEach(id => {
+        const el = document.querySelector(`.match-tile[data-tile-id="${id}"]`);
+        if (!el) return;
+
+        el.classList.remove('mismatch', 'border-purple-500', 'bg-purple-50', 'border-red-400', 'bg-red-50');
+
+        if (status === 'selected') {
+            el.classList.add('border-purple-500', 'bg-purple-50');
+        } else if (status === 'matched') {
+            el.classList.add('matched');
+            el.disabled = true;
+        } else if (status === 'mismatch') {
+            // Force a reflow so the shake replays on repeated mismatches
+            void el.offsetWidth;
+            el.classList.add('mismatch', 'border-red-400', 'bg-red-50');
+            el.addEventListener('animationend', () => {
+                el.classList.remove('mismatch', 'border-red-400', 'bg-red-50');
+            }, { once: true });
+        }
+    });
+}
+
+export function renderMatchTimer(timeText, penaltySeconds) {
+    const timer = document.getElementById('matchTimer');
+    const penalty = document.getElementById('matchPenalty');
+
+    if (timer) timer.textContent = timeText;
+    if (penalty) penalty.textContent = penaltySeconds > 0 ? `+${penaltySeconds}s penalty` : '';
+}
+
+export function renderMatchComplete(result) {
+    const title = document.getElementById('matchCompleteTitle');
+    const finalTime = document.getElementById('matchFinalTime');
+    const detail = document.getElementById('matchFinalDetail');
+    const bestTime = document.getElementById('matchBestTime');
+
+    showMatchPanel('matchComplete');
+
+    if (title) title.textContent = result.isNewBest ? 'New personal best!' : 'Nice work!';
+    if (finalTime) finalTime.textContent = result.timeText;
+    if (detail) {
+        detail.textContent = `${result.pairs} pairs, ${result.mismatches} mismatch${result.mismatches === 1 ? '' : 'es'}`;
+    }
+    if (bestTime) bestTime.textContent = `Personal best: ${result.bestText}`;
+}
+
+// ============================================================
+// BACKUPS
+// ============================================================
+
+const BACKUP_REASON_LABELS = {
+    daily: 'Daily',
+    migration: 'Before update',
+    manual: 'Manual',
+    restore: 'Before restore',
+    import: 'Before import'
+};
+
+// "+2 sets, -40 cards" relative to the current library
+function formatCountChange(backupCounts, currentCounts) {
+    const parts = [['set', 'sets'], ['card', 'cards']].map(([one, key]) => {
+        const change = backupCounts[key] - currentCounts[key];
+        if (change === 0) return null;
+        return `${change > 0 ? '+' : '−'}${Math.abs(change)} ${Math.abs(change) === 1 ? one : key}`;
+    }).filter(Boolean);
+
+    return parts.length > 0 ? `${parts.join(', ')} vs now` : 'Same size as now';
+}
+
+export function renderBackupList(backups, currentCounts, handlers) {
+    const list = document.getElementById('backupList');
+    if (!list) return;
+
+    if (backups.length === 0) {
+        list.innerHTML = '<p class="text-center text-slate-400 py-6">No backups yet</p>';
+        return;
+    }
+
+    list.innerHTML = backups.map(backup => `
+        <div class="flex items-center justify-between gap-3 p-3 rounded-lg border border-slate-200">
+            <div class="min-w-0">
+                <div class="font-medium text-slate-800">
+                    ${new Date(backup.createdAt).toLocaleString()}
+                    <span class="ml-1 text-xs px-2 py-0.5 rounded-full bg-slate-100 text-slate-600">${BACKUP_REASON_LABELS[backup.reason] || backup.reason}</span>
+                </div>
+                <div class="text-sm text-slate-500">
+                    ${backup.counts.sets} set${backup.counts.sets === 1 ? '' : 's'} · ${backup.counts.cards} card${backup.counts.cards === 1 ? '' : 's'}
+                    <span class="text-slate-400">(${formatCountChange(backup.counts, currentCounts)})</span>
+                </div>
+            </div>
+            <button class="restore-backup-btn flex-shrink-0 px-3 py-2 text-sm font-medium text-indigo-600 rounded-lg hover:bg-indigo-50"
+                    data-backup-id="${backup.id}">
+                Restore
+            </button>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.restore-backup-btn').forEach(btn => {
+        btn.addEventListener('click', () => handlers.onRestore?.(btn.dataset.backupId));
+    });
+}
+
+// ============================================================
+// LIBRARY IMPORT
+// ============================================================
+
+const LIBRARY_SET_STATUS = {
+    new: { label: 'New', className: 'bg-green-100 text-green-700' },
+    updated: { label: 'Updated', className: 'bg-indigo-100 text-indigo-700' },
+    unchanged: { label: 'Unchanged', className: 'bg-slate-100 text-slate-600' },
+    removed: { label: 'Removed', className: 'bg-red-100 text-red-700' }
+};
+
+function countLabel(count, one, many) {
+    return `${count} ${count === 1 ? one : many}`;
+}
+
+// "12 new, 3 updated, 1 removed" for the cards in one row of the preview
+function formatCardChanges(row) {
+    const parts = [];
+    if (row.added > 0) parts.push(`${row.added} new`);
+    if (row.updated > 0) parts.push(`${row.updated} updated`);
+    if (row.removed > 0) parts.push(`${row.removed} removed`);
+    return parts.length > 0 ? `Cards: ${parts.join(', ')}` : 'No card changes';
+}
+
+/**
+ * Show what a library import will change
+ * @param {Object} plan - From planLibraryImport
+ * @param {Object} library - Parsed archive
+ */
+export function renderLibraryImportPreview(plan, library) {
+    const container = document.getElementById('libraryImportPreview');
+    if (!container) return;
+
+    const { totals } = plan;
+    const exported = library.exportedAt ? new Date(library.exportedAt).toLocaleString() : 'an unknown date';
+    const summary = [
+        `${countLabel(totals.setsAdded, 'set', 'sets')} added`,
+        `${totals.setsUpdated} updated`,
+        ...(totals.setsRemoved > 0 ? [`${totals.setsRemoved} removed`] : [])
+    ].join(', ');
+    const cardSummary = [
+        `${countLabel(totals.cardsAdded, 'card', 'cards')} added`,
+        `${totals.cardsUpdated} updated`,
+        ...(totals.cardsRemoved > 0 ? [`${totals.cardsRemoved} removed`] : [])
+    ].join(', ');
+
+    // Removed sets first so they're hard to miss
+    const order = ['removed', 'new', 'updated', 'unchanged'];
+    const rows = [...plan.sets].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+    container.innerHTML = `
+        <div class="p-3 rounded-lg bg-slate-50 text-sm text-slate-600">
+            <p>Exported ${exported}</p>
+            <p class="font-medium text-slate-800 mt-1">${summary}</p>
+            <p class="font-medium text-slate-800">${cardSummary}</p>
+            <p class="mt-1">${plan.settingsReplaced
+                ? 'Settings, key bindings and study history will be replaced. Your ElevenLabs key is kept.'
+                : 'Your settings are kept. Study history from the file is added to yours.'}</p>
+        </div>
+        <div class="space-y-2">
+            ${rows.map(row => `
+                <div class="flex items-center justify-between gap-3 p-3 rounded-lg border border-slate-200">
+                    <div class="min-w-0">
+                        <div class="font-medium text-slate-800 truncate">${escapeHtml(row.name)}</div>
+                        <div class="text-sm text-slate-500">${row.status === 'removed'
+                            ? countLabel(row.removed, 'card', 'cards')
+                            : formatCardChanges(row)}</div>
+                    </div>
+                    <span class="flex-shrink-0 text-xs px-2 py-0.5 rounded-full ${LIBRARY_SET_STATUS[row.status].className}">${LIBRARY_SET_STATUS[row.status].label}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// ============================================================
+// ANKI IMPORT
+// ============================================================
+
+function fieldSelectHtml(noteType, role, selected, allowNone) {
+    const options = noteType.fields.map((name, index) =>
+        `<option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHtml(name)}</option>`);
+    if (allowNone) options.unshift(`<option value="-1" ${selected === -1 ? 'selected' : ''}>None</option>`);
+
+    return `
+        <select data-note-type="${escapeHtml(noteType.id)}" data-role="${role}"
+            class="w-full p-2 text-sm border border-slate-300 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500">
+            ${options.join('')}
+        </select>
+    `;
+}
+
+/**
+ * Show an opened Anki package's decks and a field mapping per note type
+ * @param {Object} summary - From summarizeAnkiPackage
+ */
+export function renderAnkiImportOptions(summary) {
+    const deckList = document.getElementById('ankiDeckList');
+    const noteTypes = document.getElementById('ankiNoteTypes');
+
+    if (deckList) {
+        deckList.innerHTML = summary.decks.map(deck => `
+            <div class="flex justify-between gap-3">
+                <span class="truncate">${escapeHtml(deck.name)}</span>
+                <span class="flex-shrink-0 text-slate-400">${deck.cards} card${deck.cards === 1 ? '' : 's'}</span>
+            </div>
+        `).join('');
+    }
+
+    if (noteTypes) {
+        noteTypes.innerHTML = summary.noteTypes.map(type => `
+            <div class="p-3 rounded-lg border border-slate-200">
+                <div class="font-medium text-slate-800 mb-2">
+                    ${escapeHtml(type.name)}
+                    <span class="text-xs text-slate-400">${type.noteCount} note${type.noteCount === 1 ? '' : 's'}${type.isCloze ? ' · cloze' : ''}</span>
+                </div>
+                <div class="grid ${type.isCloze ? 'grid-cols-2' : 'grid-cols-3'} gap-2 text-xs text-slate-500">
+                    <label>${type.isCloze ? 'Cloze text' : 'Term'} ${fieldSelectHtml(type, 'term', type.mapping.term, false)}</label>
+                    ${type.isCloze ? '' : `<label>Definition ${fieldSelectHtml(type, 'definition', type.mapping.definition, true)}</label>`}
+                    <label>Hint ${fieldSelectHtml(type, 'hint', type.mapping.hint, true)}</label>
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+// ============================================================
+// CSV IMPORT
+// ============================================================
+
+const CSV_FIELD_LABELS = {
+    '': "Don't import",
+    term: 'Term',
+    definition: 'Definition',
+    hint: 'Hint',
+    starred: 'Starred',
+    tags: 'Tags'
+};
+
+/**
+ * Show one field picker per CSV column
+ * @param {Array<Object>} columns - { name, sample } per column
+ * @param {Array<string>} mapping - Field per column
+ * @param {Object} handlers - { onChange(index, field) }
+ */
+export function renderCsvColumnMapping(columns, mapping, handlers) {
+    const container = document.getElementById('csvColumnMapping');
+    if (!container) return;
+
+    container.innerHTML = columns.map((column, index) => `
+        <div class="flex items-center justify-between gap-3 p-3 rounded-lg border border-slate-200">
+            <div class="min-w-0">
+                <div class="font-medium text-slate-800 truncate">${escapeHtml(column.name)}</div>
+                <div class="text-xs text-slate-400 truncate">${escapeHtml(column.sample) || '&nbsp;'}</div>
+            </div>
+            <select data-column="${index}" aria-label="Import ${escapeHtml(column.name)} as"
+                class="flex-shrink-0 p-2 text-sm border border-slate-300 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500">
+                ${Object.entries(CSV_FIELD_LABELS).map(([field, label]) =>
+                    `<option value="${field}" ${mapping[index] === field ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('select[data-column]').forEach(select => {
+        select.addEventListener('change', () => handlers.onChange?.(Number(select.dataset.column), select.value));
+    });
+}
+
+// ============================================================
+// BULK IMPORT PREVIEW
+// ============================================================
+
+// Longer pastes are still imported in full, only the table is cut short
+const IMPORT_PREVIEW_LIMIT = 200;
+
+function importCellInput(index, field) {
+    return `
+        <textarea rows="1" data-field="${field}" aria-label="${field === 'term' ? 'Term' : 'Definition'} ${index + 1}"
+            class="w-full p-2 text-sm border border-slate-200 rounded-md bg-white focus:ring-2 focus:ring-indigo-500 resize-y disabled:bg-slate-50 disabled:text-slate-400"></textarea>`;
+}
+
+// Add an empty row to the end of the table; its text is filled in by renderImportPreview
+function appendImportRow(tbody, handlers) {
+    const index = tbody.rows.length;
+    const tr = tbody.insertRow();
+    tr.dataset.row = index;
+    tr.className = 'align-top border-t border-slate-100';
+    tr.innerHTML = `
+        <td class="p-2 text-xs text-slate-400">${index + 1}</td>
+        <td class="p-2">${importCellInput(index, 'term')}</td>
+        <td class="p-2">
+            ${importCellInput(index, 'definition')}
+            <p class="import-row-note text-xs mt-1"></p>
+        </td>
+        <td class="p-2">
+            <button class="remove-import-row-btn p-1 text-slate-400 hover:text-red-500 rounded-lg hover:bg-red-50"
+                aria-label="Leave out row ${index + 1}">
+                <span class="material-symbols-outlined text-base">close</span>
+            </button>
+        </td>
+    `;
+
+    tr.querySelectorAll('textarea[data-field]').forEach(input => {
+        input.addEventListener('input', () => handlers.onEdit?.(index, input.dataset.field, input.value));
+    });
+    tr.querySelector('.remove-import-row-btn')?.addEventListener('click', () => handlers.onRemove?.(index));
+}
+
+/**
+ * Show how the pasted text splits into cards, one editable row per card.
+ * The table is kept between calls and only rows whose text changed are
+ * rewritten, so re-reading the paste doesn't lose scroll position or focus.
+ * @param {Array<Object>} rows - { term, definition, error, clozeCount }
+ * @param {Object} handlers - { onEdit(index, field, value), onRemove(index) }
+ */
+export function renderImportPreview(rows, handlers) {
+    const container = document.getElementById('importPreview');
+    if (!container) return;
+
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="text-center text-slate-400 py-6 text-sm">Paste text above to see how it will be split into cards</p>';
+        return;
+    }
+
+    let tbody = container.querySelector('tbody');
+    if (!tbody) {
+        container.innerHTML = `
+            <table class="w-full text-sm">
+                <thead class="sticky top-0 bg-slate-50 text-left text-xs text-slate-500">
+                    <tr>
+                        <th class="p-2 w-10">#</th>
+                        <th class="p-2">Term</th>
+                        <th class="p-2">Definition</th>
+                        <th class="p-2 w-10"></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p class="import-preview-more text-xs text-slate-400 p-2"></p>
+        `;
+        tbody = container.querySelector('tbody');
+    }
+
+    const shown = Math.min(rows.length, IMPORT_PREVIEW_LIMIT);
+    while (tbody.rows.length > shown) tbody.deleteRow(-1);
+    while (tbody.rows.length < shown) appendImportRow(tbody, handlers);
+
+    for (let index = 0; index < shown; index++) {
+        tbody.rows[index].querySelectorAll('textarea[data-field]').forEach(input => {
+            const value = rows[index][input.dataset.field];
+            if (input.value !== value) input.value = value;
+        });
+        renderImportRowState(index, rows[index]);
+    }
+
+    const more = container.querySelector('.import-preview-more');
+    if (more) {
+        more.textContent = rows.length > shown
+            ? `Showing the first ${shown} of ${rows.length} rows. The rest are imported as read.`
+            : '';
+        more.classList.toggle('hidden', rows.length <= shown);
+    }
+}
+
+/**
+ * Update one preview row's highlighting after an edit, leaving its inputs alone
+ * @param {number} index
+ * @param {Object} row - { error, clozeCount }
+ */
+export function renderImportRowState(index, row) {
+    const tr = document.querySelector(`#importPreview tr[data-row="${index}"]`);
+    if (!tr) return;
+
+    tr.classList.toggle('bg-red-50', !!row.error);
+
+    // A cloze row's cards come from the term alone
+    const definition = tr.querySelector('textarea[data-field="definition"]');
+    if (definition) definition.disabled = row.clozeCount > 0;
+
+    const note = tr.querySelector('.import-row-note');
+    if (note) {
+        note.textContent = row.error || (row.clozeCount > 0 ? `Cloze: ${row.clozeCount} card${row.clozeCount === 1 ? '' : 's'}` : '');
+        note.className = `import-row-note text-xs mt-1 ${row.error ? 'text-red-600' : 'text-slate-400'}`;
+    }
+}
+
+// ============================================================
+// DUPLICATES
+// ============================================================
+
+const DUPLICATE_MATCH_LABELS = {
+    exact: { label: 'Same text', className: 'bg-red-100 text-red-700' },
+    normalized: { label: 'Similar text', className: 'bg-amber-100 text-amber-700' }
+};
+
+function duplicateMatchBadge(match) {
+    const { label, className } = DUPLICATE_MATCH_LABELS[match];
+    return `<span class="flex-shrink-0 text-xs px-2 py-0.5 rounded-full ${className}">${label}</span>`;
+}
+
+// One line per side; a cloze note shows its source text with the blanks filled in
+function duplicateCardHtml(card) {
+    if (isClozeCard(card)) {
+        return `<div class="text-sm text-slate-800 truncate">${escapeHtml(toPlainText(fillCloze(card.cloze.text)))}</div>
+            <div class="text-xs text-slate-400">Cloze</div>`;
+    }
+    return `<div class="text-sm text-slate-800 truncate">${escapeHtml(toPlainText(card.term))}</div>
+        <div class="text-xs text-slate-500 truncate">${escapeHtml(toPlainText(card.definition)) || '&nbsp;'}</div>`;
+}
+
+/**
+ * List incoming cards that are already in the set, each with a choice of
+ * skip, overwrite definition or keep both
+ * @param {Array<Object>} items - { index, cards, existing, match, inBatch, action }
+ * @param {Object} handlers - { onChange(index, action) }
+ */
+export function renderDuplicateImportList(items, handlers) {
+    const container = document.getElementById('duplicateImportList');
+    if (!container) return;
+
+    const summary = document.getElementById('duplicateImportSummary');
+    if (summary) {
+        summary.textContent = `${countLabel(items.length, 'card is', 'cards are')} already in this set` +
+            (items.some(item => item.inBatch) ? ' or earlier in this import' : '');
+    }
+
+    container.innerHTML = items.map(item => {
+        const options = [
+            ['skip', 'Skip'],
+            ...(canOverwriteDefinition(item) ? [['overwrite', 'Overwrite definition']] : []),
+            ['keep', 'Keep both']
+        ];
+
+        return `
+            <div class="p-3 rounded-lg border border-slate-200">
+                <div class="flex items-center justify-between gap-3 mb-2">
+                    ${duplicateMatchBadge(item.match)}
+                    <select data-entry="${item.index}" aria-label="What to do with this card"
+                        class="p-2 text-sm border border-slate-300 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500">
+                        ${options.map(([value, label]) =>
+                            `<option value="${value}" ${item.action === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="grid grid-cols-2 gap-3">
+                    <div class="min-w-0">
+                        <div class="text-xs font-medium text-slate-400 mb-1">Adding</div>
+                        ${duplicateCardHtml(item.cards[0])}
+                    </div>
+                    <div class="min-w-0">
+                        <div class="text-xs font-medium text-slate-400 mb-1">${item.inBatch ? 'Earlier in this import' : 'In the set'}</div>
+                        ${duplicateCardHtml(item.existing)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('select[data-entry]').forEach(select => {
+        select.addEventListener('change', () => handlers.onChange?.(Number(select.dataset.entry), select.value));
+    });
+}
+
+/**
+ * List groups of duplicate cards in a set, marking the card each merge keeps
+ * @param {Array<Object>} groups - From findDuplicateGroups
+ * @param {Object} handlers - { onMerge(groupIndex) }
+ */
+export function renderDuplicateGroups(groups, handlers) {
+    const container = document.getElementById('duplicateGroups');
+    if (!container) return;
+
+    const mergeAllBtn = document.getElementById('mergeAllDuplicatesBtn');
+    if (mergeAllBtn) mergeAllBtn.disabled = groups.length === 0;
+
+    if (groups.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-8 text-slate-400">
+                <span class="material-symbols-outlined text-4xl mb-2">check_circle</span>
+                <p>No duplicate cards in this set</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = groups.map((group, groupIndex) => `
+        <div class="p-3 rounded-lg border border-slate-200">
+            <div class="flex items-center justify-between gap-3 mb-2">
+                <div class="flex items-center gap-2">
+                    ${duplicateMatchBadge(group.match)}
+                    <span class="text-sm text-slate-500">${countLabel(group.cards.length, 'card', 'cards')}</span>
+                </div>
+                <button data-group="${groupIndex}"
+                    class="merge-duplicates-btn text-sm font-medium text-indigo-600 hover:text-indigo-800 px-3 py-1 rounded-lg hover:bg-indigo-50">
+                    Merge
+                </button>
+            </div>
+            <div class="space-y-2">
+                ${group.cards.map(card => `
+                    <div class="flex items-center justify-between gap-3 ${card === group.keeper ? 'bg-green-50 rounded-lg p-2 -mx-2' : ''}">
+                        <div class="min-w-0">${duplicateCardHtml(card)}</div>
+                        <div class="flex-shrink-0 text-right">
+                            <div class="text-xs text-slate-500">${getMasteryLabel(getMasteryLevel(card.stats))} · ${countLabel(card.stats?.repetitions || 0, 'review', 'reviews')} in a row</div>
+                            ${card === group.keeper ? '<div class="text-xs font-medium text-green-700">Kept</div>' : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.merge-duplicates-btn').forEach(btn => {
+        btn.addEventListener('click', () => handlers.onMerge?.(Number(btn.dataset.group)));
+    });
+}
@@ -0,0 +1,170 @@
+/**
+ * richText.js - Card Text Formatting
+ * A small Markdown subset for terms and definitions, rendered to safe HTML:
+ * **bold**, *italic*, `code`, ```code blocks```, H~2~O, x^2^, - / 1. lists
+ * and $LaTeX$ / $$display LaTeX$$ math
+ */
+
+import { renderMath, mathToSpeech, MATH_PATTERN, MATH_FENCE } from './math.js';
+
+// Inline markers, applied to already-escaped text
+const INLINE_RULES = [
+    [/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>'],
+    [/\*(?=\S)(.+?)\*/g, '<em>$1</em>'],
+    [/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>'],
+    [/~(?=\S)([^~\s]+)~/g, '<sub>$1</sub>'],
+    [/\^(?=\S)([^^\s]+)\^/g, '<sup>$1</sup>']
+];
+
+const CODE_SPAN = /`([^`\n]+)`/g;
+const FENCE = /^```/;
+const BULLET_ITEM = /^[-*]\s+(.*)$/;
+const NUMBERED_ITEM = /^\d+[.)]\s+(.*)$/;
+
+function escape(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Format one line; code spans and math are set aside before the other rules
+function renderInline(line) {
+    const protectedSpans = [];
+    const protect = (html) => {
+        protectedSpans.push(html);
+        return `\u0000${protectedSpans.length - 1}\u0000`;
+    };
+
+    let html = line
+        .replace(CODE_SPAN, (_, code) =>
+            protect(`<code class="px-1 rounded bg-slate-100 font-mono text-[0.9em]">${escape(code)}</code>`))
+        .replace(MATH_PATTERN, (_, display, bracket, paren, inline) =>
+            protect(renderMath(display ?? bracket ?? paren ?? inline, display !== undefined || bracket !== undefined)));
+
+    html = escape(html);
+    INLINE_RULES.forEach(([pattern, replacement]) => {
+        html = html.replace(pattern, replacement);
+    });
+
+    return html.replace(/\u0000(\d+)\u0000/g, (_, i) => protectedSpans[i]);
+}
+
+/**
+ * Render card text to HTML. All input is escaped first, so only the
+ * tags produced here can appear in the output.
+ * @param {string} source - Card text
+ * @returns {string} HTML
+ */
+export function renderRichText(source) {
+    const lines = (source || '').split(/\r?\n/);
+    const blocks = [];
+    let list = null;
+    let code = null;
+    let math = null;
+
+    const closeList = () => {
+        if (!list) return;
+        const tag = list.ordered ? 'ol' : 'ul';
+        const style = list.ordered ? 'list-decimal' : 'list-disc';
+        blocks.push(`<${tag} class="${style} text-left pl-6">${list.items.map(i => `<li>${i}</li>`).join('')}</${tag}>`);
+        list = null;
+    };
+
+    lines.forEach(line => {
+        // Multi-line display math between lines holding only $$
+        if (math) {
+            if (MATH_FENCE.test(line.trim())) {
+                blocks.push(`<div>${renderMath(math.join('\n'), true)}</div>`);
+                math = null;
+            } else {
+                math.push(line);
+            }
+            return;
+        }
+
+        if (code) {
+            if (FENCE.test(line.trim())) {
+                blocks.push(`<pre class="text-left p-3 rounded-lg bg-slate-100 font-mono text-sm overflow-x-auto"><code>${escape(code.join('\n'))}</code></pre>`);
+                code = null;
+            } else {
+                code.push(line);
+            }
+            return;
+        }
+
+        if (FENCE.test(line.trim())) {
+            closeList();
+            code = [];
+            return;
+        }
+
+        if (MATH_FENCE.test(line.trim())) {
+            closeList();
+            math = [];
+            return;
+        }
+
+        const bullet = line.trim().match(BULLET_ITEM);
+        const numbered = line.trim().match(NUMBERED_ITEM);
+        const item = bullet || numbered;
+
+        if (item) {
+            const ordered = !!numbered;
+            if (list && list.ordered !== ordered) closeList();
+            if (!list) list = { ordered, items: [] };
+            list.items.push(renderInline(item[1]));
+            return;
+        }
+
+        closeList();
+        blocks.push(renderInline(line));
+    });
+
+    // An unclosed fence still shows its contents
+    if (code) blocks.push(`<pre class="text-left p-3 rounded-lg bg-slate-100 font-mono text-sm overflow-x-auto"><code>${escape(code.join('\n'))}</code></pre>`);
+    if (math) blocks.push(`<div>${renderMath(math.join('\n'), true)}</div>`);
+    closeList();
+
+    // Plain lines are joined with line breaks; lists, code and math blocks break on their own
+    return blocks.reduce((html, block, i) => {
+        const isBlock = /^<(ul|ol|pre|div)/.test(block);
+        const prevIsBlock = i > 0 && /^<(ul|ol|pre|div)/.test(blocks[i - 1]);
+        return html + (i > 0 && !isBlock && !prevIsBlock ? '<br>' : '') + block;
+    }, '');
+}
+
+/**
+ * Card text without formatting markers, for grading, speech and comparisons.
+ * Math is replaced by its spoken form.
+ * @param {string} source - Card text
+ * @returns {string}
+ */
+export function toPlainText(source) {
+    return (source || '')
+        .replace(/^\s*\$\$\s*\n([\s\S]*?)\n\s*\$\$\s*$/gm, (_, tex) => mathToSpeech(tex))
+        .replace(MATH_PATTERN, (_, display, bracket, paren, inline) =>
+            mathToSpeech(display ?? bracket ?? paren ?? inline))
+        .split(/\r?\n/)
+        .filter(line => !FENCE.test(line.trim()))
+        .map(line => line.trim().replace(BULLET_ITEM, '$1').replace(NUMBERED_ITEM, '$1'))
+        .join(' ')
+        .replace(CODE_SPAN, '$1')
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '$1')
+        .replace(/\*(?=\S)(.+?)\*/g, '$1')
+        .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1$2')
+        .replace(/~(?=\S)([^~\s]+)~/g, '$1')
+        .replace(/\^(?=\S)([^^\s]+)\^/g, '$1')
+        .trim();
+}
+
+/**
+ * Whether text uses any formatting (and so can't be shown as plain words)
+ * @param {string} source - Card text
+ * @returns {boolean}
+ */
+export function hasFormatting(source) {
+    return /\n/.test(source || '') || toPlainText(source) !== (source || '').trim();
+}
@@ -136,6 +136,17 @@ export function getNextReviewText(dueAt) {
     return 'Now';
 }
 
+/**
+ * Format an interval in days for grade button previews
+ * @param {number} days - Interval in days
+ * @returns {string}
+ */
+export function formatInterval(days) {
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.round(days / 30)}mo`;
+    return `${Math.round(days / 36.5) / 10}y`;
+}
+
 /**
  * Get mastery level based on stats
  * @param {Object} stats - Card stats
@@ -3,6 +3,8 @@
  * All application state is managed here with UUID-based IDs
  */
 
+import { getClozeIndices, buildClozePrompt, getClozeAnswer } from './cloze.js';
+
 // Generate UUID v4
 export function generateUUID() {
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
@@ -15,6 +17,41 @@ export function generateUUID() {
 // Current schema version for migrations
 export const SCHEMA_VERSION = 2;
 
+// Learn mode question types (keys match settings.questionTypes)
+export const QUESTION_TYPES = {
+    MULTIPLE_CHOICE: 'multipleChoice',
+    TRUE_FALSE: 'trueFalse',
+    WRITTEN: 'written'
+};
+
+// Test mode adds matching to the Learn question types
+export const TEST_QUESTION_TYPES = {
+    ...QUESTION_TYPES,
+    MATCHING: 'matching'
+};
+
+// Test attempts kept per set
+export const MAX_TEST_HISTORY = 20;
+
+// Progressive rounds: a card must pass each stage in order to be mastered
+export const LEARN_STAGES = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.WRITTEN];
+
+// Types that can stand in for the multiple-choice round
+export const RECOGNITION_TYPES = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.TRUE_FALSE];
+
+// Card types. Cards without a type are basic term/definition pairs.
+export const CARD_TYPES = {
+    BASIC: 'basic',
+    CLOZE: 'cloze'
+};
+
+// Which side of a card the learner answers with
+export const ANSWER_SIDES = {
+    TERM: 'term',
+    DEFINITION: 'definition',
+    MIXED: 'mixed'
+};
+
 // Default state shape
 export function createDefaultState() {
     return {
@@ -50,10 +87,18 @@ export function createDefaultState() {
                 grade4: '4',
                 star: 's',
                 listen: 'l',
+                hint: 'h',
                 prev: 'ArrowLeft',
                 next: 'ArrowRight',
                 exit: 'Escape'
-            }
+            },
+            questionTypes: {
+                multipleChoice: true,
+                trueFalse: false,
+                written: false
+            },
+            progressiveRounds: true,
+            answerWith: ANSWER_SIDES.TERM
         }
     };
 }
@@ -65,6 +110,9 @@ export function createSet(name) {
         uuid: generateUUID(),
         name: name.trim(),
         cards: [],
+        confusions: {}, // { [cardId]: { [confusedWithId]: count } }
+        testHistory: [], // Graded test attempts, oldest first
+        matchBest: null, // Fastest Match game { timeMs, pairs, achievedAt }
         meta: {
             schemaVersion: 1,
             createdAt: now,
@@ -74,12 +122,14 @@ export function createSet(name) {
 }
 
 // Create a new card with SM-2 defaults
-export function createCard(term, definition) {
+export function createCard(term, definition, hint = '') {
     const now = Date.now();
     return {
         uuid: generateUUID(),
+        type: CARD_TYPES.BASIC,
         term: term.trim(),
         definition: definition.trim(),
+        hint: hint.trim(), // Optional hint or mnemonic, shown on demand in Learn mode
         starred: false,
         masteryLevel: 0,
         stats: {
@@ -96,16 +146,43 @@ export function createCard(term, definition) {
     };
 }
 
+// Create one cloze card per cloze number in the text. Siblings share a noteId;
+// term holds the blanked prompt and definition the hidden answer.
+export function createClozeCards(text, noteId = generateUUID()) {
+    const source = text.trim();
+    return getClozeIndices(source).map(index => ({
+        ...createCard(buildClozePrompt(source, index), getClozeAnswer(source, index)),
+        type: CARD_TYPES.CLOZE,
+        cloze: { noteId, text: source, index }
+    }));
+}
+
+// Whether a card is generated from cloze text
+export function isClozeCard(card) {
+    return card?.type === CARD_TYPES.CLOZE;
+}
+
 // Create a learn session
-export function createLearnSession(setId, cardIds, mode = 'all') {
+// options.stages: question types a card must pass in order, or null for single-answer mastery
+// options.answerWith: side the learner answers with (term, definition or mixed)
+export function createLearnSession(setId, cardIds, mode = 'all', options = {}) {
+    const { stages = null, answerWith = ANSWER_SIDES.TERM } = options;
     return {
-        version: 1,
+        version: 2,
         setId: setId,
         unseenIds: [...cardIds],
         masteredIds: [],
+        stages: stages ? [...stages] : null,
+        cardStages: Object.fromEntries(cardIds.map(id => [id, 0])),
+        answerWith: answerWith,
         currentQuestionId: null,
+        currentQuestionType: null,
+        currentAnswerSide: null,
         questionsAnswered: 0,
         correctCount: 0,
+        // Cards answered with the help of a hint, and whether the current question used one
+        hintedIds: [],
+        currentHintUsed: false,
         mode: mode,
         batchHistory: [],
         startedAt: Date.now(),
@@ -161,6 +238,7 @@ export function updateSet(setId, updates) {
 export function deleteSet(setId) {
     if (!state.allSets[setId]) return false;
     delete state.allSets[setId];
+    cardIndexes.delete(setId);
     if (state.activeSetId === setId) {
         state.activeSetId = Object.keys(state.allSets)[0] || null;
     }
@@ -177,11 +255,166 @@ export function setActiveSetId(setId) {
     state.activeSetId = setId;
 }
 
+// Resolve "mixed" to a concrete side for a single question or flashcard
+export function resolveAnswerSide(answerWith) {
+    if (answerWith === ANSWER_SIDES.MIXED) {
+        return Math.random() < 0.5 ? ANSWER_SIDES.TERM : ANSWER_SIDES.DEFINITION;
+    }
+    return answerWith === ANSWER_SIDES.DEFINITION ? ANSWER_SIDES.DEFINITION : ANSWER_SIDES.TERM;
+}
+
+// Card field shown as the prompt when answering with the given side
+// (cloze cards always show the blanked text)
+export function getPromptField(card, answerSide) {
+    if (isClozeCard(card)) return 'term';
+    return answerSide === ANSWER_SIDES.DEFINITION ? 'term' : 'definition';
+}
+
+// Card field expected as the answer on the given side
+// (cloze cards always expect the hidden text)
+export function getAnswerField(card, answerSide) {
+    if (isClozeCard(card)) return 'definition';
+    return answerSide === ANSWER_SIDES.DEFINITION ? 'definition' : 'term';
+}
+
+// Text shown as the prompt when answering with the given side
+export function getPromptText(card, answerSide) {
+    return card[getPromptField(card, answerSide)];
+}
+
+// Text expected as the answer on the given side
+export function getAnswerText(card, answerSide) {
+    return card[getAnswerField(card, answerSide)];
+}
+
+// Image ID attached to a card field ('term' or 'definition'), if any
+export function getCardImage(card, field) {
+    return card?.images?.[field] || null;
+}
+
+// Attach an image to a card field, or remove it with null
+export function setCardImage(setId, cardId, field, imageId) {
+    const card = getCard(setId, cardId);
+    if (!card) return null;
+    return updateCard(setId, cardId, { images: { ...card.images, [field]: imageId } });
+}
+
+// Every image ID referenced by the given cards
+export function getCardImageIds(cards) {
+    return cards.flatMap(card => Object.values(card.images || {}).filter(Boolean));
+}
+
+// Other answers accepted for a card field ('term' or 'definition'): synonyms, spellings...
+export function getCardAlternatives(card, field) {
+    return card?.alternatives?.[field] || [];
+}
+
+// Replace the accepted alternatives for a card field
+export function setCardAlternatives(setId, cardId, field, alternatives) {
+    const card = getCard(setId, cardId);
+    if (!card) return null;
+    return updateCard(setId, cardId, { alternatives: { ...card.alternatives, [field]: alternatives } });
+}
+
+// Every answer accepted on the given side: the card's own text first, then its alternatives
+export function getAcceptedAnswers(card, answerSide) {
+    return [getAnswerText(card, answerSide), ...getCardAlternatives(card, getAnswerField(card, answerSide))];
+}
+
+// Alternatives are edited as one line separated by semicolons
+export function parseAlternatives(text) {
+    const alternatives = (text || '').split(/[;\n]/).map(a => a.trim()).filter(Boolean);
+    return [...new Set(alternatives)];
+}
+
+export function formatAlternatives(alternatives) {
+    return (alternatives || []).join('; ');
+}
+
+// Recording ID attached to a card field ('term' or 'definition'), if any
+export function getCardRecording(card, field) {
+    return card?.audio?.[field] || null;
+}
+
+// Attach a recording to a card field, or remove it with null
+export function setCardRecording(setId, cardId, field, recordingId) {
+    const card = getCard(setId, cardId);
+    if (!card) return null;
+    return updateCard(setId, cardId, { audio: { ...card.audio, [field]: recordingId } });
+}
+
+// Every recording ID referenced by the given cards
+export function getCardRecordingIds(cards) {
+    return cards.flatMap(card => Object.values(card.audio || {}).filter(Boolean));
+}
+
+// Name of the side being answered, for question labels
+export function getAnswerLabel(card, answerSide) {
+    if (isClozeCard(card)) return 'missing text';
+    return answerSide === ANSWER_SIDES.DEFINITION ? 'definition' : 'term';
+}
+
+// Lookup indexes per set: cards by ID, and cards in due-date order for
+// review queries. Built on first use and rebuilt when the set's card list
+// is replaced or grows; updateCard keeps an existing index in step.
+const cardIndexes = new Map();
+
+function getDueAt(card) {
+    return card.stats?.dueAt || 0;
+}
+
+// First position in a due-ordered list where isAfter(card) holds
+function findDuePosition(dueOrder, isAfter) {
+    let low = 0;
+    let high = dueOrder.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (isAfter(dueOrder[mid])) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return low;
+}
+
+function getCardIndex(set) {
+    let index = cardIndexes.get(set.uuid);
+    if (!index || index.cards !== set.cards || index.length !== set.cards.length) {
+        index = {
+            cards: set.cards,
+            length: set.cards.length,
+            byId: new Map(set.cards.map(card => [card.uuid, card])),
+            dueOrder: [...set.cards].sort((a, b) => getDueAt(a) - getDueAt(b))
+        };
+        cardIndexes.set(set.uuid, index);
+    }
+    return index;
+}
+
+// Swap a replaced card object into an existing index
+function reindexCard(set, previous, card) {
+    const index = cardIndexes.get(set.uuid);
+    if (!index || index.cards !== set.cards) return;
+
+    const { dueOrder } = index;
+    let position = findDuePosition(dueOrder, c => getDueAt(c) >= getDueAt(previous));
+    while (position < dueOrder.length && dueOrder[position] !== previous) position++;
+    if (position === dueOrder.length) {
+        cardIndexes.delete(set.uuid);
+        return;
+    }
+
+    dueOrder.splice(position, 1);
+    dueOrder.splice(findDuePosition(dueOrder, c => getDueAt(c) > getDueAt(card)), 0, card);
+    index.byId.set(card.uuid, card);
+}
+
 // Get a card from a set
 export function getCard(setId, cardId) {
     const set = state.allSets[setId];
     if (!set) return null;
-    return set.cards.find(c => c.uuid === cardId) || null;
+    return getCardIndex(set).byId.get(cardId) || null;
 }
 
 // Add card to set
@@ -189,11 +422,6 @@ export function addCardToSet(setId, card) {
     const set = state.allSets[setId];
     if (!set) return null;
 
-    // Limit to 500 cards
-    if (set.cards.length >= 500) {
-        throw new Error('Maximum 500 cards per set');
-    }
-
     set.cards.push(card);
     set.meta.updatedAt = Date.now();
     return card;
@@ -207,18 +435,55 @@ export function updateCard(setId, cardId, updates) {
     const cardIndex = set.cards.findIndex(c => c.uuid === cardId);
     if (cardIndex === -1) return null;
 
+    const previous = set.cards[cardIndex];
     set.cards[cardIndex] = {
-        ...set.cards[cardIndex],
+        ...previous,
         ...updates,
         meta: {
-            ...set.cards[cardIndex].meta,
+            ...previous.meta,
             updatedAt: Date.now()
         }
     };
+    reindexCard(set, previous, set.cards[cardIndex]);
     set.meta.updatedAt = Date.now();
     return set.cards[cardIndex];
 }
 
+// Replace the text of a cloze note. Cloze numbers still present keep their
+// cards (and SM-2 stats), new numbers get new cards, removed ones are deleted.
+export function updateClozeNote(setId, noteId, text) {
+    const set = state.allSets[setId];
+    if (!set) return null;
+
+    const siblings = set.cards.filter(c => isClozeCard(c) && c.cloze.noteId === noteId);
+    if (siblings.length === 0) return null;
+
+    const source = text.trim();
+    const indices = getClozeIndices(source);
+    const now = Date.now();
+
+    const updated = siblings
+        .filter(card => indices.includes(card.cloze.index))
+        .map(card => ({
+            ...card,
+            term: buildClozePrompt(source, card.cloze.index),
+            definition: getClozeAnswer(source, card.cloze.index),
+            cloze: { ...card.cloze, text: source },
+            meta: { ...card.meta, updatedAt: now }
+        }));
+    const added = createClozeCards(source, noteId)
+        .filter(card => !siblings.some(s => s.cloze.index === card.cloze.index));
+
+    // The note stays where its first card was
+    const position = set.cards.findIndex(c => c.cloze?.noteId === noteId);
+    const others = set.cards.filter(c => !(isClozeCard(c) && c.cloze.noteId === noteId));
+    const note = [...updated, ...added].sort((a, b) => a.cloze.index - b.cloze.index);
+
+    set.cards = [...others.slice(0, position), ...note, ...others.slice(position)];
+    set.meta.updatedAt = now;
+    return note;
+}
+
 // Delete a card
 export function deleteCard(setId, cardId) {
     const set = state.allSets[setId];
@@ -230,6 +495,58 @@ export function deleteCard(setId, cardId) {
     return set.cards.length < initialLength;
 }
 
+// Record that the learner mistook one card's answer for another's
+export function recordConfusion(setId, cardId, confusedWithId) {
+    const set = state.allSets[setId];
+    if (!set || cardId === confusedWithId) return;
+
+    // Symmetric: each card makes a good distractor for the other
+    const confusions = set.confusions || {};
+    [[cardId, confusedWithId], [confusedWithId, cardId]].forEach(([a, b]) => {
+        confusions[a] = { ...confusions[a], [b]: (confusions[a]?.[b] || 0) + 1 };
+    });
+    set.confusions = confusions;
+}
+
+// Get past confusions for a card
+export function getConfusions(setId, cardId) {
+    return state.allSets[setId]?.confusions?.[cardId] || {};
+}
+
+// Store a graded test attempt, keeping the most recent ones
+export function addTestResult(setId, result) {
+    const set = state.allSets[setId];
+    if (!set) return null;
+
+    set.testHistory = [...(set.testHistory || []), result].slice(-MAX_TEST_HISTORY);
+    return result;
+}
+
+// Get graded test attempts for a set, oldest first
+export function getTestHistory(setId) {
+    return state.allSets[setId]?.testHistory || [];
+}
+
+// Store a finished Match game, keeping it if it is the set's personal best.
+// Times are only compared across games with the same number of pairs, so a
+// game on a different board size (the set grew or shrank) starts a new best.
+export function recordMatchTime(setId, timeMs, pairs) {
+    const set = state.allSets[setId];
+    if (!set) return false;
+
+    const best = set.matchBest?.pairs === pairs ? set.matchBest : null;
+    const isBest = !best || timeMs < best.timeMs;
+    if (isBest) {
+        set.matchBest = { timeMs, pairs, achievedAt: Date.now() };
+    }
+    return isBest;
+}
+
+// Get the fastest Match game for a set
+export function getMatchBest(setId) {
+    return state.allSets[setId]?.matchBest || null;
+}
+
 // Toggle card star
 export function toggleCardStar(setId, cardId) {
     const card = getCard(setId, cardId);
@@ -294,13 +611,39 @@ export function updateKeyBindings(bindings) {
     state.settings.keyBindings = { ...state.settings.keyBindings, ...bindings };
 }
 
-// Get cards due for review (SM-2)
+// Turn progressive Learn rounds on or off (applies to new sessions)
+export function setProgressiveRounds(enabled) {
+    state.settings.progressiveRounds = enabled;
+}
+
+// Set the default answer side for new Learn sessions
+export function setAnswerWith(answerWith) {
+    state.settings.answerWith = answerWith;
+}
+
+// Update enabled Learn question types
+export function updateQuestionTypes(types) {
+    state.settings.questionTypes = { ...state.settings.questionTypes, ...types };
+}
+
+// Get cards due for review (SM-2), most overdue first
 export function getDueCards(setId) {
     const set = state.allSets[setId];
     if (!set) return [];
 
+    const { dueOrder } = getCardIndex(set);
     const now = Date.now();
-    return set.cards.filter(card => card.stats.dueAt <= now);
+    return dueOrder.slice(0, findDuePosition(dueOrder, card => getDueAt(card) > now));
+}
+
+// Count cards due for review without building the list
+export function getDueCount(setId) {
+    const set = state.allSets[setId];
+    if (!set) return 0;
+
+    const { dueOrder } = getCardIndex(set);
+    const now = Date.now();
+    return findDuePosition(dueOrder, card => getDueAt(card) > now);
 }
 
 // Get starred cards
@@ -312,8 +655,19 @@ export function getStarredCards(setId) {
 
 // Initialize state from loaded data
 export function initializeState(loadedState) {
+    cardIndexes.clear();
     if (loadedState) {
-        state = { ...createDefaultState(), ...loadedState };
+        const defaults = createDefaultState();
+        state = {
+            ...defaults,
+            ...loadedState,
+            // Keep defaults for settings added after the state was saved
+            settings: {
+                ...defaults.settings,
+                ...loadedState.settings,
+                keyBindings: { ...defaults.settings.keyBindings, ...loadedState.settings?.keyBindings }
+            }
+        };
     }
     return state;
 }
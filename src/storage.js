@@ -1,44 +1,337 @@
 /**
  * storage.js - Persistence Layer
- * Handles localStorage for state and IndexedDB for audio cache
+ * Keeps study data in a JSON file in the Electron app (IndexedDB elsewhere),
+ * and the audio cache, recordings, card images and backups in IndexedDB
  */
 
-import { SCHEMA_VERSION, initializeState, exportState, createDefaultState } from './state.js';
+import {
+    SCHEMA_VERSION, CARD_TYPES, initializeState, exportState, createDefaultState, generateUUID,
+    createSet, createCard
+} from './state.js';
 
-// Storage keys
+// localStorage keys: used before the IndexedDB store existed, and as a fallback without it
 const STORAGE_KEYS = {
     STATE: 'studyset_state',
     LEARN_SESSION: 'studyset_learn_session',
     VERSION: 'studyset_version'
 };
 
+// Study data: one record per set, card, day of stats and setting
+const DATA_DB_NAME = 'studyset_data';
+const DATA_STORES = {
+    SETS: 'sets',
+    CARDS: 'cards',
+    SESSIONS: 'sessions',
+    DAILY_STATS: 'dailyStats',
+    META: 'meta'
+};
+const LEARN_SESSION_ID = 'learn';
+
+// Snapshots of the whole state: summaries are listed without loading the data
+const BACKUP_STORES = {
+    SUMMARIES: 'backups',
+    DATA: 'backupData'
+};
+
 // IndexedDB config
 const AUDIO_DB_NAME = 'studyset_audio_cache';
 const AUDIO_STORE_NAME = 'audio';
 
+// Recordings attached to cards share the audio database but have their own
+// store, so the cache's size limit and clearing never touch them
+const RECORDING_STORE_NAME = 'recordings';
+
+// Card images live in their own database: unlike the audio cache they are never evicted
+const MEDIA_DB_NAME = 'studyset_media';
+const IMAGE_STORE_NAME = 'images';
+
+let dataDB = null;
 let audioDB = null;
+let mediaDB = null;
+
+// Last successfully written record per store and key: JSON for most records,
+// the card object itself for cards
+const writtenRecords = Object.fromEntries(Object.values(DATA_STORES).map(name => [name, new Map()]));
+let saveScheduled = false;
+let saveQueue = Promise.resolve();
+let storageErrorHandler = null;
+// Set while saves are failing, so the handler hears once they succeed again
+let storageFailing = false;
+let cachedLearnSession = null;
+
+// Set when saved state couldn't be read; saving waits until the user restores
+// a backup or starts over, so the unreadable data isn't overwritten
+let loadFailure = null;
+let lastDailyBackupDay = null;
+
+// Saves made within this long of each other share one write of the state file
+const FILE_WRITE_DELAY_MS = 1000;
+// A steady stream of saves still reaches the file at least this often
+const FILE_WRITE_MAX_DELAY_MS = 5000;
+
+// State file write waiting to start, shared by every save made before it does
+let pendingFileWrite = null;
+let fileWriteTimer = null;
+let fileWriteDeadline = null;
+
+// Object URLs handed out for stored images, by image ID
+const imageURLs = new Map();
 
 // ============================================================
-// LOCALSTORAGE OPERATIONS
+// STATE PERSISTENCE (INDEXEDDB)
 // ============================================================
 
+export async function initDataDB() {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(DATA_DB_NAME, 2);
+
+        request.onerror = () => {
+            console.warn('IndexedDB not available for study data, using localStorage');
+            resolve(null);
+        };
+
+        request.onsuccess = (event) => {
+            dataDB = event.target.result;
+            resolve(dataDB);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            if (!db.objectStoreNames.contains(DATA_STORES.SETS)) {
+                db.createObjectStore(DATA_STORES.SETS, { keyPath: 'uuid' });
+            }
+            if (!db.objectStoreNames.contains(DATA_STORES.CARDS)) {
+                const store = db.createObjectStore(DATA_STORES.CARDS, { keyPath: 'uuid' });
+                store.createIndex('setId', 'setId', { unique: false });
+            }
+            if (!db.objectStoreNames.contains(DATA_STORES.SESSIONS)) {
+                db.createObjectStore(DATA_STORES.SESSIONS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(DATA_STORES.DAILY_STATS)) {
+                db.createObjectStore(DATA_STORES.DAILY_STATS, { keyPath: 'date' });
+            }
+            if (!db.objectStoreNames.contains(DATA_STORES.META)) {
+                db.createObjectStore(DATA_STORES.META, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(BACKUP_STORES.SUMMARIES)) {
+                db.createObjectStore(BACKUP_STORES.SUMMARIES, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(BACKUP_STORES.DATA)) {
+                db.createObjectStore(BACKUP_STORES.DATA, { keyPath: 'id' });
+            }
+        };
+    });
+}
+
+/**
+ * Register a callback for storage failures the user should know about
+ * (e.g. the disk quota running out)
+ * @param {Function} handler - Called with a message, or with null once
+ *     state is saved again after a failure
+ */
+export function setStorageErrorHandler(handler) {
+    storageErrorHandler = handler;
+}
+
+function reportStorageError(e) {
+    storageFailing = true;
+    console.error('Failed to save state:', e);
+    const diskFull = e?.name === 'QuotaExceededError' || /ENOSPC/.test(e?.message || '');
+    const message = diskFull
+        ? 'Storage is full, so your latest changes could not be saved. Delete unused sets, images or recordings to free up space.'
+        : `Your latest changes could not be saved (${e?.message || e?.name || 'unknown error'}).`;
+    storageErrorHandler?.(message);
+}
+
+function reportStateSaved() {
+    if (!storageFailing) return;
+    storageFailing = false;
+    storageErrorHandler?.(null);
+}
+
+/**
+ * Save state. Writes are batched until the current task finishes, and only
+ * records that changed since the last successful write are stored.
+ * @returns {boolean}
+ */
 export function saveState(state) {
+    if (loadFailure) return false;
+    if (getFileAPI()) {
+        queueFileWrite();
+        return true;
+    }
+    if (!dataDB) return saveStateToLocalStorage();
+
+    if (!saveScheduled) {
+        saveScheduled = true;
+        queueMicrotask(() => {
+            saveScheduled = false;
+            // Writes run one at a time so an older snapshot never lands last
+            saveQueue = saveQueue.then(writeChangedRecords);
+        });
+    }
+    return true;
+}
+
+// Without IndexedDB, fall back to one localStorage key for everything
+function saveStateToLocalStorage() {
     try {
         const data = exportState();
         localStorage.setItem(STORAGE_KEYS.STATE, JSON.stringify(data));
         localStorage.setItem(STORAGE_KEYS.VERSION, String(SCHEMA_VERSION));
+        reportStateSaved();
         return true;
     } catch (e) {
-        console.error('Failed to save state:', e);
+        reportStorageError(e);
         return false;
     }
 }
 
-export function loadState() {
+// Split state into the records stored in each object store
+function getStateRecords(data) {
+    const { allSets, analytics, ...settings } = data;
+    const { dailyStats = {}, ...analyticsTotals } = analytics || {};
+
+    const records = {
+        [DATA_STORES.META]: Object.entries({ ...settings, analytics: analyticsTotals })
+            .map(([key, value]) => ({ key, value })),
+        [DATA_STORES.DAILY_STATS]: Object.entries(dailyStats).map(([date, stats]) => ({ date, ...stats })),
+        [DATA_STORES.SETS]: [],
+        [DATA_STORES.CARDS]: []
+    };
+
+    Object.values(allSets || {}).forEach(({ cards = [], ...set }) => {
+        records[DATA_STORES.SETS].push({ ...set, cardIds: cards.map(c => c.uuid) });
+        cards.forEach(card => records[DATA_STORES.CARDS].push({ card, setId: set.uuid }));
+    });
+
+    return records;
+}
+
+const RECORD_KEYS = {
+    [DATA_STORES.META]: r => r.key,
+    [DATA_STORES.DAILY_STATS]: r => r.date,
+    [DATA_STORES.SETS]: r => r.uuid,
+    [DATA_STORES.CARDS]: r => r.card.uuid
+};
+
+// Store the records that changed since the last write, or with `replace`
+// swap everything stored for the current state in one transaction
+async function writeChangedRecords({ replace = false } = {}) {
+    const records = getStateRecords(exportState());
+    const changes = [];
+
+    Object.entries(records).forEach(([storeName, storeRecords]) => {
+        const written = replace ? new Map() : writtenRecords[storeName];
+        const seen = new Set();
+
+        storeRecords.forEach(record => {
+            const key = RECORD_KEYS[storeName](record);
+            seen.add(key);
+
+            // updateCard replaces a card object whenever it changes, so an
+            // unchanged reference means an unchanged card
+            if (storeName === DATA_STORES.CARDS) {
+                const previous = written.get(key);
+                if (previous?.card === record.card && previous.setId === record.setId) return;
+                changes.push({ storeName, key, value: { ...record.card, setId: record.setId }, memo: record });
+                return;
+            }
+
+            const json = JSON.stringify(record);
+            if (written.get(key) !== json) changes.push({ storeName, key, value: record, memo: json });
+        });
+
+        written.forEach((_, key) => {
+            if (!seen.has(key)) changes.push({ storeName, key, deleted: true });
+        });
+    });
+
+    if (changes.length === 0 && !replace) return true;
+
+    try {
+        await new Promise((resolve, reject) => {
+            const tx = dataDB.transaction(Object.values(DATA_STORES), 'readwrite');
+            if (replace) {
+                Object.keys(records).forEach(storeName => tx.objectStore(storeName).clear());
+            }
+            changes.forEach(change => {
+                const store = tx.objectStore(change.storeName);
+                if (change.deleted) {
+                    store.delete(change.key);
+                } else {
+                    store.put(change.value);
+                }
+            });
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } catch (e) {
+        reportStorageError(e);
+        return false;
+    }
+
+    // Only remember what actually reached the database
+    if (replace) Object.keys(records).forEach(storeName => writtenRecords[storeName].clear());
+    changes.forEach(change => {
+        if (change.deleted) {
+            writtenRecords[change.storeName].delete(change.key);
+        } else {
+            writtenRecords[change.storeName].set(change.key, change.memo);
+        }
+    });
+    reportStateSaved();
+
+    await takeDailyBackup();
+    return true;
+}
+
+/**
+ * Load state into memory. Runs the one-time migration from the old
+ * localStorage key the first time the database is used.
+ */
+export async function loadState() {
+    try {
+        if (getFileAPI()) return await loadStateFromFile();
+        if (!dataDB) return loadStateFromLocalStorage();
+        return await loadStateFromDB();
+    } catch (e) {
+        console.error('Failed to load state:', e);
+        loadFailure = e;
+        return initializeState(null);
+    }
+}
+
+/**
+ * The error that stopped saved state from loading, if any. While set,
+ * nothing is saved until restoreBackup or discardUnreadableState is called.
+ * @returns {Error|null}
+ */
+export function getLoadFailure() {
+    return loadFailure;
+}
+
+async function loadStateFromDB() {
+    const data = await readStateFromDB();
+    if (data) {
+        cachedLearnSession = await readRecord(DATA_STORES.SESSIONS, LEARN_SESSION_ID);
+        const state = initializeState(data);
+        await takeDailyBackup();
+        return state;
+    }
+
+    return migrateFromLocalStorage();
+}
+
+function loadStateFromLocalStorage() {
     try {
         const savedVersion = localStorage.getItem(STORAGE_KEYS.VERSION);
         const savedData = localStorage.getItem(STORAGE_KEYS.STATE);
 
+        const savedSession = localStorage.getItem(STORAGE_KEYS.LEARN_SESSION);
+        cachedLearnSession = savedSession ? JSON.parse(savedSession) : null;
+
         if (!savedData) {
             return initializeState(null);
         }
@@ -53,10 +346,109 @@ export function loadState() {
         return initializeState(data);
     } catch (e) {
         console.error('Failed to load state:', e);
+        loadFailure = e;
         return initializeState(null);
     }
 }
 
+// Move everything saved under the old localStorage keys into the database.
+// The old keys are removed only once the copy has been written.
+async function migrateFromLocalStorage() {
+    const state = loadStateFromLocalStorage();
+    const savedData = localStorage.getItem(STORAGE_KEYS.STATE);
+    if (loadFailure || (!savedData && !cachedLearnSession)) return state;
+
+    console.log('Moving saved data from localStorage to IndexedDB');
+    if (savedData) {
+        const savedVersion = parseInt(localStorage.getItem(STORAGE_KEYS.VERSION)) || SCHEMA_VERSION;
+        await createBackup(BACKUP_REASONS.MIGRATION, JSON.parse(savedData), savedVersion);
+    }
+    saveQueue = saveQueue.then(writeChangedRecords);
+    await saveQueue;
+    if (cachedLearnSession) await writeRecord(DATA_STORES.SESSIONS, { ...cachedLearnSession, id: LEARN_SESSION_ID });
+
+    const migrated = await readRecord(DATA_STORES.META, 'schemaVersion');
+    if (migrated) {
+        Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+    }
+    return state;
+}
+
+async function readStateFromDB() {
+    const [meta, dailyStats, sets, cards] = await Promise.all([
+        readAll(DATA_STORES.META),
+        readAll(DATA_STORES.DAILY_STATS),
+        readAll(DATA_STORES.SETS),
+        readAll(DATA_STORES.CARDS)
+    ]);
+    if (meta.length === 0) return null;
+
+    const data = Object.fromEntries(meta.map(({ key, value }) => [key, value]));
+    data.analytics = {
+        ...data.analytics,
+        dailyStats: Object.fromEntries(dailyStats.map(({ date, ...stats }) => [date, stats]))
+    };
+
+    const cardsById = new Map(cards.map(({ setId, ...card }) => [card.uuid, { card, setId }]));
+    data.allSets = {};
+    sets.forEach(({ cardIds = [], ...set }) => {
+        // Cards keep the set's order; any the order doesn't mention go last
+        const ordered = cardIds.filter(id => cardsById.get(id)?.setId === set.uuid);
+        const rest = cards.filter(c => c.setId === set.uuid && !cardIds.includes(c.uuid)).map(c => c.uuid);
+        data.allSets[set.uuid] = { ...set, cards: [...ordered, ...rest].map(id => cardsById.get(id).card) };
+    });
+
+    if (data.schemaVersion < SCHEMA_VERSION) {
+        await createBackup(BACKUP_REASONS.MIGRATION, data, data.schemaVersion);
+        return migrateState(data, data.schemaVersion);
+    }
+
+    // What was just read is already stored, so the first save only writes real changes
+    const records = getStateRecords(data);
+    Object.entries(records).forEach(([storeName, storeRecords]) => {
+        storeRecords.forEach(record => {
+            const memo = storeName === DATA_STORES.CARDS ? record : JSON.stringify(record);
+            writtenRecords[storeName].set(RECORD_KEYS[storeName](record), memo);
+        });
+    });
+    return data;
+}
+
+function readAll(storeName) {
+    return new Promise((resolve, reject) => {
+        const request = dataDB.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function readRecord(storeName, key) {
+    return new Promise((resolve, reject) => {
+        const request = dataDB.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function writeRecord(storeName, value) {
+    return new Promise((resolve, reject) => {
+        const tx = dataDB.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).put(value);
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function deleteRecord(storeName, key) {
+    return new Promise((resolve, reject) => {
+        const tx = dataDB.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).delete(key);
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
 // Migrate state between schema versions
 function migrateState(data, fromVersion) {
     console.log(`Migrating state from v${fromVersion} to v${SCHEMA_VERSION}`);
@@ -118,50 +510,318 @@ function migrateState(data, fromVersion) {
 }
 
 // ============================================================
-// LEARN SESSION PERSISTENCE
+// STATE FILE (ELECTRON)
 // ============================================================
 
-export function saveLearnSession(session) {
-    try {
-        if (!session) {
-            localStorage.removeItem(STORAGE_KEYS.LEARN_SESSION);
-            return true;
+// The preload script's API for the JSON data file, when running in Electron
+function getFileAPI() {
+    return window.electronAPI?.saveData ? window.electronAPI : null;
+}
+
+// Once the file exists it holds the state; until then the browser stores
+// are read as before and become the file's first contents
+async function loadStateFromFile() {
+    // The window waits for the last changes to be written before it closes
+    getFileAPI().onFlushData?.(() => {
+        flushFileWrite().finally(() => getFileAPI().dataFlushed());
+    });
+
+    const saved = await getFileAPI().loadData();
+    if (!saved) {
+        const state = dataDB ? await loadStateFromDB() : loadStateFromLocalStorage();
+        if (!loadFailure) {
+            console.log('Moving saved data into the data file');
+            queueFileWrite();
+            await flushFileWrite();
         }
+        return state;
+    }
 
-        const data = {
-            ...session,
-            savedAt: Date.now()
-        };
-        localStorage.setItem(STORAGE_KEYS.LEARN_SESSION, JSON.stringify(data));
-        return true;
+    let data = saved.state;
+    if (data.schemaVersion < SCHEMA_VERSION) {
+        await createBackup(BACKUP_REASONS.MIGRATION, data, data.schemaVersion);
+        data = migrateState(data, data.schemaVersion);
+    }
+
+    cachedLearnSession = saved.learnSession || null;
+    const state = initializeState(data);
+    await takeDailyBackup();
+    return state;
+}
+
+/**
+ * The whole file is rewritten on every write, so saves are collected until
+ * they stop for FILE_WRITE_DELAY_MS (or FILE_WRITE_MAX_DELAY_MS has passed)
+ * and then written together
+ * @returns {Promise<boolean>} Settles once the write that includes this save finishes
+ */
+function queueFileWrite() {
+    const now = Date.now();
+    fileWriteDeadline ??= now + FILE_WRITE_MAX_DELAY_MS;
+    clearTimeout(fileWriteTimer);
+    fileWriteTimer = setTimeout(flushFileWrite, Math.min(FILE_WRITE_DELAY_MS, fileWriteDeadline - now));
+
+    if (!pendingFileWrite) {
+        let startWrite;
+        const write = new Promise(resolve => { startWrite = resolve; })
+            .then(() => writeStateFile());
+        pendingFileWrite = { write, startWrite };
+    }
+    return pendingFileWrite.write;
+}
+
+// Start the queued write now instead of waiting for saves to stop;
+// resolves once every write so far has finished
+function flushFileWrite() {
+    clearTimeout(fileWriteTimer);
+    fileWriteTimer = null;
+    fileWriteDeadline = null;
+
+    if (pendingFileWrite) {
+        const { write, startWrite } = pendingFileWrite;
+        pendingFileWrite = null;
+        saveQueue.then(startWrite, startWrite);
+        saveQueue = write;
+    }
+    return saveQueue;
+}
+
+async function writeStateFile() {
+    if (loadFailure) return false;
+
+    try {
+        await getFileAPI().saveData({
+            savedAt: Date.now(),
+            state: exportState(),
+            learnSession: cachedLearnSession
+        });
     } catch (e) {
-        console.error('Failed to save learn session:', e);
+        reportStorageError(e);
         return false;
     }
+    reportStateSaved();
+
+    await takeDailyBackup();
+    return true;
 }
 
-export function loadLearnSession() {
+// ============================================================
+// BACKUPS
+// ============================================================
+
+export const BACKUP_REASONS = {
+    DAILY: 'daily',
+    MIGRATION: 'migration',
+    MANUAL: 'manual',
+    RESTORE: 'restore',
+    IMPORT: 'import'
+};
+
+// Snapshots kept per reason; the oldest beyond this are deleted
+const BACKUP_RETENTION = {
+    [BACKUP_REASONS.DAILY]: 7,
+    [BACKUP_REASONS.MIGRATION]: 5,
+    [BACKUP_REASONS.MANUAL]: 10,
+    [BACKUP_REASONS.RESTORE]: 5,
+    [BACKUP_REASONS.IMPORT]: 5
+};
+
+/**
+ * Number of sets and cards in a state
+ * @param {Object} data - State as saved
+ * @returns {Object} { sets, cards }
+ */
+export function getStateCounts(data) {
+    const sets = Object.values(data?.allSets || {});
+    return {
+        sets: sets.length,
+        cards: sets.reduce((sum, set) => sum + (set.cards?.length || 0), 0)
+    };
+}
+
+/**
+ * Snapshot the state into the backups store
+ * @param {string} reason - One of BACKUP_REASONS
+ * @param {Object} data - State to keep (defaults to the current state)
+ * @param {number} schemaVersion - Schema the data is in
+ * @returns {Promise<Object|null>} Backup summary, or null if it couldn't be stored
+ */
+export async function createBackup(reason, data = exportState(), schemaVersion = data.schemaVersion || SCHEMA_VERSION) {
+    if (!dataDB) return null;
+
+    const summary = {
+        id: generateUUID(),
+        reason,
+        createdAt: Date.now(),
+        schemaVersion,
+        counts: getStateCounts(data)
+    };
+
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.LEARN_SESSION);
-        if (!data) return null;
+        await new Promise((resolve, reject) => {
+            const tx = dataDB.transaction(Object.values(BACKUP_STORES), 'readwrite');
+            tx.objectStore(BACKUP_STORES.SUMMARIES).put(summary);
+            tx.objectStore(BACKUP_STORES.DATA).put({ id: summary.id, data });
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        await pruneBackups(reason);
+        return summary;
+    } catch (e) {
+        console.warn('Failed to create backup:', e);
+        return null;
+    }
+}
+
+/**
+ * Stored backups, newest first (without their data)
+ * @returns {Promise<Array>}
+ */
+export async function listBackups() {
+    if (!dataDB) return [];
+    const backups = await readAll(BACKUP_STORES.SUMMARIES);
+    return backups.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Replace the current state with a backup. The state being replaced is
+ * backed up first, unless it failed to load.
+ * @param {string} id - Backup ID
+ * @returns {Promise<Object>} Restored state
+ */
+export async function restoreBackup(id) {
+    const [summary, record] = await Promise.all([
+        readRecord(BACKUP_STORES.SUMMARIES, id),
+        readRecord(BACKUP_STORES.DATA, id)
+    ]);
+    if (!summary || !record) throw new Error('Backup not found');
+
+    if (!loadFailure) await createBackup(BACKUP_REASONS.RESTORE);
+
+    let data = record.data;
+    if (summary.schemaVersion < SCHEMA_VERSION) {
+        data = migrateState(data, summary.schemaVersion);
+    }
+
+    const state = initializeState(data);
+    if (!await replaceStoredState()) throw new Error('The restored data could not be saved');
+    return state;
+}
+
+/**
+ * Give up on state that failed to load and store the current (empty) state in its place
+ * @returns {Promise<boolean>}
+ */
+export async function discardUnreadableState() {
+    return replaceStoredState();
+}
+
+// Overwrite everything stored with the current state and resume saving
+async function replaceStoredState() {
+    loadFailure = null;
+    if (getFileAPI()) {
+        queueFileWrite();
+        return flushFileWrite();
+    }
+    if (!dataDB) return saveStateToLocalStorage();
+
+    const write = saveQueue.then(() => writeChangedRecords({ replace: true }));
+    saveQueue = write;
+    return write;
+}
+
+async function pruneBackups(reason) {
+    const expired = (await listBackups())
+        .filter(backup => backup.reason === reason)
+        .slice(BACKUP_RETENTION[reason] ?? BACKUP_RETENTION[BACKUP_REASONS.MANUAL]);
+    if (expired.length === 0) return;
+
+    await new Promise((resolve, reject) => {
+        const tx = dataDB.transaction(Object.values(BACKUP_STORES), 'readwrite');
+        expired.forEach(backup => {
+            tx.objectStore(BACKUP_STORES.SUMMARIES).delete(backup.id);
+            tx.objectStore(BACKUP_STORES.DATA).delete(backup.id);
+        });
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Snapshot the state once per calendar day, the first time it loads or saves
+async function takeDailyBackup() {
+    const today = new Date().toDateString();
+    if (!dataDB || loadFailure || lastDailyBackupDay === today) return;
+    lastDailyBackupDay = today;
+
+    const data = exportState();
+    if (getStateCounts(data).sets === 0) return;
+
+    const backups = await listBackups();
+    const hasToday = backups.some(backup =>
+        backup.reason === BACKUP_REASONS.DAILY && new Date(backup.createdAt).toDateString() === today);
+    if (!hasToday) await createBackup(BACKUP_REASONS.DAILY, data);
+}
+
+// ============================================================
+// LEARN SESSION PERSISTENCE
+// ============================================================
+
+// The session is kept in memory and written through to the database,
+// so it can still be read synchronously
+export function saveLearnSession(session) {
+    if (!session) {
+        clearLearnSessionStorage();
+        return true;
+    }
 
-        const session = JSON.parse(data);
+    cachedLearnSession = { ...session, savedAt: Date.now() };
+    const { id, ...data } = cachedLearnSession;
 
-        // Check if session is too old (7 days)
-        if (Date.now() - session.savedAt > 7 * 24 * 60 * 60 * 1000) {
-            localStorage.removeItem(STORAGE_KEYS.LEARN_SESSION);
-            return null;
+    if (getFileAPI()) {
+        queueFileWrite();
+        return true;
+    }
+
+    if (!dataDB) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.LEARN_SESSION, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            reportStorageError(e);
+            return false;
         }
+    }
 
-        return session;
-    } catch (e) {
-        console.error('Failed to load learn session:', e);
+    writeRecord(DATA_STORES.SESSIONS, { ...data, id: LEARN_SESSION_ID }).catch(reportStorageError);
+    return true;
+}
+
+export function loadLearnSession() {
+    const session = cachedLearnSession;
+    if (!session) return null;
+
+    // Check if session is too old (7 days)
+    if (Date.now() - session.savedAt > 7 * 24 * 60 * 60 * 1000) {
+        clearLearnSessionStorage();
         return null;
     }
+
+    const { id, ...data } = session;
+    return data;
 }
 
 export function clearLearnSessionStorage() {
-    localStorage.removeItem(STORAGE_KEYS.LEARN_SESSION);
+    cachedLearnSession = null;
+    if (getFileAPI()) {
+        queueFileWrite();
+        return;
+    }
+    if (!dataDB) {
+        localStorage.removeItem(STORAGE_KEYS.LEARN_SESSION);
+        return;
+    }
+    deleteRecord(DATA_STORES.SESSIONS, LEARN_SESSION_ID).catch(e => console.warn('Failed to clear learn session:', e));
 }
 
 // ============================================================
@@ -170,7 +830,7 @@ export function clearLearnSessionStorage() {
 
 export async function initAudioDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open(AUDIO_DB_NAME, 1);
+        const request = indexedDB.open(AUDIO_DB_NAME, 2);
 
         request.onerror = () => {
             console.warn('IndexedDB not available');
@@ -189,6 +849,9 @@ export async function initAudioDB() {
                 const store = db.createObjectStore(AUDIO_STORE_NAME, { keyPath: 'key' });
                 store.createIndex('accessedAt', 'accessedAt', { unique: false });
             }
+            if (!db.objectStoreNames.contains(RECORDING_STORE_NAME)) {
+                db.createObjectStore(RECORDING_STORE_NAME, { keyPath: 'id' });
+            }
         };
     });
 }
@@ -248,6 +911,7 @@ export async function setCachedAudio(key, blob, maxSizeMB = 50) {
     }
 }
 
+// Least recently used TTS entries go first; recordings are in another store and never evicted
 async function evictOldAudioEntries(maxSizeMB) {
     if (!audioDB) return;
 
@@ -309,11 +973,246 @@ export async function clearAudioCache() {
     });
 }
 
+// ============================================================
+// INDEXEDDB CARD RECORDINGS
+// ============================================================
+
+// Store a recording blob, returning its new ID (null on failure)
+export async function saveRecording(blob) {
+    if (!audioDB) return null;
+
+    const id = generateUUID();
+    try {
+        const tx = audioDB.transaction(RECORDING_STORE_NAME, 'readwrite');
+        const store = tx.objectStore(RECORDING_STORE_NAME);
+
+        await new Promise((resolve, reject) => {
+            const request = store.put({
+                id,
+                blob,
+                type: blob.type,
+                size: blob.size,
+                createdAt: Date.now()
+            });
+            request.onsuccess = resolve;
+            request.onerror = reject;
+        });
+        return id;
+    } catch (e) {
+        console.warn('Failed to save recording:', e);
+        return null;
+    }
+}
+
+export async function getRecording(id) {
+    if (!audioDB || !id) return null;
+
+    return new Promise((resolve) => {
+        try {
+            const tx = audioDB.transaction(RECORDING_STORE_NAME, 'readonly');
+            const request = tx.objectStore(RECORDING_STORE_NAME).get(id);
+            request.onsuccess = () => resolve(request.result?.blob || null);
+            request.onerror = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+export async function deleteRecordings(ids) {
+    if (!audioDB || ids.length === 0) return;
+
+    return new Promise((resolve) => {
+        try {
+            const tx = audioDB.transaction(RECORDING_STORE_NAME, 'readwrite');
+            const store = tx.objectStore(RECORDING_STORE_NAME);
+            ids.forEach(id => store.delete(id));
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => resolve(false);
+        } catch (e) {
+            resolve(false);
+        }
+    });
+}
+
+// Recordings as data URLs by ID, for embedding in an export
+export async function exportRecordings(ids) {
+    const recordings = {};
+    for (const id of ids) {
+        const blob = await getRecording(id);
+        if (blob) recordings[id] = await blobToDataURL(blob);
+    }
+    return recordings;
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Store a recording from an exported data URL, returning its new ID
+export async function importRecording(dataURL) {
+    if (typeof dataURL !== 'string' || !dataURL.startsWith('data:')) return null;
+
+    try {
+        const blob = await (await fetch(dataURL)).blob();
+        return saveRecording(blob);
+    } catch (e) {
+        console.warn('Failed to import recording:', e);
+        return null;
+    }
+}
+
+// ============================================================
+// INDEXEDDB CARD IMAGES
+// ============================================================
+
+export async function initMediaDB() {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(MEDIA_DB_NAME, 1);
+
+        request.onerror = () => {
+            console.warn('IndexedDB not available for images');
+            resolve(null);
+        };
+
+        request.onsuccess = (event) => {
+            mediaDB = event.target.result;
+            resolve(mediaDB);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            if (!db.objectStoreNames.contains(IMAGE_STORE_NAME)) {
+                db.createObjectStore(IMAGE_STORE_NAME, { keyPath: 'id' });
+            }
+        };
+    });
+}
+
+// Store an image blob, returning its new ID (null on failure)
+export async function saveImage(blob) {
+    if (!mediaDB) return null;
+
+    const id = generateUUID();
+    try {
+        const tx = mediaDB.transaction(IMAGE_STORE_NAME, 'readwrite');
+        const store = tx.objectStore(IMAGE_STORE_NAME);
+
+        await new Promise((resolve, reject) => {
+            const request = store.put({
+                id,
+                blob,
+                type: blob.type,
+                size: blob.size,
+                createdAt: Date.now()
+            });
+            request.onsuccess = resolve;
+            request.onerror = reject;
+        });
+        return id;
+    } catch (e) {
+        console.warn('Failed to save image:', e);
+        return null;
+    }
+}
+
+export async function getImage(id) {
+    if (!mediaDB || !id) return null;
+
+    return new Promise((resolve) => {
+        try {
+            const tx = mediaDB.transaction(IMAGE_STORE_NAME, 'readonly');
+            const request = tx.objectStore(IMAGE_STORE_NAME).get(id);
+            request.onsuccess = () => resolve(request.result?.blob || null);
+            request.onerror = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+// Object URL for a stored image, created once and reused
+export async function getImageURL(id) {
+    if (imageURLs.has(id)) return imageURLs.get(id);
+
+    const blob = await getImage(id);
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    imageURLs.set(id, url);
+    return url;
+}
+
+// Data URL for a stored image, for documents that can't reach this page's object URLs
+export async function getImageDataURL(id) {
+    const blob = await getImage(id);
+    if (!blob) return null;
+
+    return blobToDataURL(blob).catch(() => null);
+}
+
+// Images as data URLs by ID, for embedding in an export
+export async function exportImages(ids) {
+    const images = {};
+    for (const id of ids) {
+        const blob = await getImage(id);
+        if (blob) images[id] = await blobToDataURL(blob);
+    }
+    return images;
+}
+
+// Store an image from an exported data URL, returning its new ID
+export async function importImage(dataURL) {
+    if (typeof dataURL !== 'string' || !dataURL.startsWith('data:')) return null;
+
+    try {
+        const blob = await (await fetch(dataURL)).blob();
+        return saveImage(blob);
+    } catch (e) {
+        console.warn('Failed to import image:', e);
+        return null;
+    }
+}
+
+export async function deleteImages(ids) {
+    if (!mediaDB || ids.length === 0) return;
+
+    ids.forEach(id => {
+        if (imageURLs.has(id)) {
+            URL.revokeObjectURL(imageURLs.get(id));
+            imageURLs.delete(id);
+        }
+    });
+
+    return new Promise((resolve) => {
+        try {
+            const tx = mediaDB.transaction(IMAGE_STORE_NAME, 'readwrite');
+            const store = tx.objectStore(IMAGE_STORE_NAME);
+            ids.forEach(id => store.delete(id));
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => resolve(false);
+        } catch (e) {
+            resolve(false);
+        }
+    });
+}
+
 // ============================================================
 // JSON EXPORT/IMPORT
 // ============================================================
 
-export function exportSetToJSON(set) {
+/**
+ * Serialize a set for export
+ * @param {Object} set - Study set
+ * @param {Object|null} recordings - Data URLs by recording ID (from exportRecordings) to embed, if any
+ * @returns {string} JSON
+ */
+export function exportSetToJSON(set, recordings = null) {
     const exportData = {
         version: 1,
         exportedAt: Date.now(),
@@ -322,9 +1221,18 @@ export function exportSetToJSON(set) {
             cards: set.cards.map(card => ({
                 term: card.term,
                 definition: card.definition,
-                starred: card.starred
+                starred: card.starred,
+                ...(card.hint && { hint: card.hint }),
+                // Cloze cards also carry their source text so siblings can be rebuilt
+                ...(card.type === CARD_TYPES.CLOZE && {
+                    type: CARD_TYPES.CLOZE,
+                    cloze: { text: card.cloze.text, index: card.cloze.index }
+                }),
+                ...(hasAlternatives(card) && { alternatives: card.alternatives }),
+                ...(recordings && card.audio && { audio: card.audio })
             }))
-        }
+        },
+        ...(recordings && { recordings })
     };
 
     return JSON.stringify(exportData, null, 2);
@@ -343,8 +1251,22 @@ export function importSetFromJSON(jsonString) {
             cards: data.set.cards.map(card => ({
                 term: card.term || '',
                 definition: card.definition || '',
-                starred: card.starred || false
-            }))
+                starred: card.starred || false,
+                hint: typeof card.hint === 'string' ? card.hint : '',
+                ...(card.type === CARD_TYPES.CLOZE && typeof card.cloze?.text === 'string' && {
+                    type: CARD_TYPES.CLOZE,
+                    cloze: { text: card.cloze.text, index: Number(card.cloze.index) }
+                }),
+                ...(hasAlternatives(card) && {
+                    alternatives: {
+                        term: readAlternatives(card.alternatives.term),
+                        definition: readAlternatives(card.alternatives.definition)
+                    }
+                }),
+                ...(card.audio && typeof card.audio === 'object' && { audio: card.audio })
+            })),
+            // Embedded recordings (data URLs by their exported ID)
+            recordings: data.recordings && typeof data.recordings === 'object' ? data.recordings : {}
         };
     } catch (e) {
         console.error('Failed to parse JSON:', e);
@@ -352,8 +1274,132 @@ export function importSetFromJSON(jsonString) {
     }
 }
 
+// Full-library archives: every set with its progress, plus analytics and settings
+const LIBRARY_FORMAT = 'studyset-library';
+const LIBRARY_VERSION = 1;
+
+// TTS fields left out of library archives: the API key is a secret and
+// the rest only describe this device's playback
+const UNEXPORTED_TTS_FIELDS = ['elevenLabsKey', 'isSpeaking', 'cacheSize'];
+
+/**
+ * Serialize the whole library: sets with UUIDs, stats and history,
+ * analytics and settings. The ElevenLabs key is never included.
+ * @param {Object} data - State to export (defaults to the current state)
+ * @param {Object|null} recordings - Data URLs by recording ID (from exportRecordings) to embed, if any
+ * @param {Object|null} images - Data URLs by image ID (from exportImages) to embed, if any
+ * @returns {string} JSON
+ */
+export function exportLibraryToJSON(data = exportState(), recordings = null, images = null) {
+    const exportData = {
+        format: LIBRARY_FORMAT,
+        version: LIBRARY_VERSION,
+        schemaVersion: data.schemaVersion || SCHEMA_VERSION,
+        exportedAt: Date.now(),
+        activeSetId: data.activeSetId,
+        allSets: data.allSets,
+        analytics: data.analytics,
+        features: data.features,
+        settings: data.settings,
+        ttsState: getPortableTTSState(data.ttsState),
+        ...(recordings && { recordings }),
+        ...(images && { images })
+    };
+
+    return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Parse a library archive, migrating older schemas
+ * @param {string} jsonString - File contents
+ * @returns {Object|null} { schemaVersion, exportedAt, activeSetId, allSets, analytics, features, settings, ttsState, recordings, images }, or null if unreadable
+ */
+export function importLibraryFromJSON(jsonString) {
+    try {
+        const data = JSON.parse(jsonString);
+
+        if (data.format !== LIBRARY_FORMAT || !data.allSets || typeof data.allSets !== 'object') {
+            throw new Error('Not a library archive');
+        }
+        if (data.version > LIBRARY_VERSION || data.schemaVersion > SCHEMA_VERSION) {
+            throw new Error('Library archive is from a newer version');
+        }
+
+        const library = data.schemaVersion < SCHEMA_VERSION
+            ? migrateState(data, data.schemaVersion || 1)
+            : data;
+
+        // Sets are keyed by their UUID; sets without cards and cards without text are skipped
+        const allSets = {};
+        Object.values(library.allSets).forEach(set => {
+            if (!set?.uuid || !Array.isArray(set.cards)) return;
+            allSets[set.uuid] = withSetDefaults({
+                ...set,
+                name: String(set.name || 'Untitled'),
+                cards: set.cards
+                    .filter(card => card?.uuid && typeof card.term === 'string' && typeof card.definition === 'string')
+                    .map(withCardDefaults)
+            });
+        });
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: data.exportedAt || null,
+            activeSetId: library.activeSetId || null,
+            allSets,
+            analytics: library.analytics && typeof library.analytics === 'object' ? library.analytics : null,
+            features: library.features || {},
+            settings: library.settings || {},
+            ttsState: getPortableTTSState(library.ttsState),
+            // Embedded recordings and images (data URLs by their exported ID)
+            recordings: data.recordings && typeof data.recordings === 'object' ? data.recordings : {},
+            images: data.images && typeof data.images === 'object' ? data.images : {}
+        };
+    } catch (e) {
+        console.error('Failed to parse library:', e);
+        return null;
+    }
+}
+
+// An archive may have been written by hand or by an older version, so a set
+// or card without its meta or stats gets the ones a new set or card starts with
+function withSetDefaults(set) {
+    const defaults = createSet(set.name);
+    return { ...set, meta: { ...defaults.meta, ...readFields(set.meta) } };
+}
+
+function withCardDefaults(card) {
+    const defaults = createCard(card.term, card.definition);
+    return {
+        ...card,
+        stats: { ...defaults.stats, ...readFields(card.stats) },
+        meta: { ...defaults.meta, ...readFields(card.meta) }
+    };
+}
+
+function readFields(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+function getPortableTTSState(ttsState) {
+    const portable = { ...ttsState };
+    UNEXPORTED_TTS_FIELDS.forEach(field => delete portable[field]);
+    return portable;
+}
+
+function hasAlternatives(card) {
+    return Object.values(card.alternatives || {}).some(list => Array.isArray(list) && list.length > 0);
+}
+
+function readAlternatives(list) {
+    return Array.isArray(list) ? list.filter(a => typeof a === 'string' && a.trim()) : [];
+}
+
 export function downloadJSON(content, filename) {
-    const blob = new Blob([content], { type: 'application/json' });
+    downloadBlob(new Blob([content], { type: 'application/json' }), filename);
+}
+
+export function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -364,11 +1410,35 @@ export function downloadJSON(content, filename) {
     URL.revokeObjectURL(url);
 }
 
+// Electron's printToPDF is only reachable through the preload script
+export function canSavePDF() {
+    return !!window.electronAPI?.printToPDF;
+}
+
+/**
+ * Save a printable HTML document as a PDF (Electron only, see canSavePDF)
+ * @param {string} html - Complete HTML document
+ * @param {string} filename - Suggested file name
+ * @returns {Promise<string|null>} Where it was saved, or null if the user cancelled
+ */
+export function savePDF(html, filename) {
+    return window.electronAPI.printToPDF(html, filename);
+}
+
 export function uploadJSON() {
+    return uploadText('.json');
+}
+
+// Spreadsheet exports: comma- or tab-separated text
+export function uploadCSV() {
+    return uploadText('.csv,.tsv,.txt');
+}
+
+function uploadText(accept) {
     return new Promise((resolve) => {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = accept;
         input.onchange = (e) => {
             const file = e.target.files[0];
             if (!file) {
@@ -386,3 +1456,33 @@ export function uploadJSON() {
         input.click();
     });
 }
+
+export function uploadAnkiPackage() {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.apkg';
+        input.onchange = (e) => resolve(e.target.files[0] || null);
+        input.click();
+    });
+}
+
+export function uploadImage() {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.onchange = (e) => resolve(e.target.files[0] || null);
+        input.click();
+    });
+}
+
+export function uploadAudio() {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'audio/*';
+        input.onchange = (e) => resolve(e.target.files[0] || null);
+        input.click();
+    });
+}
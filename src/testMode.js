@@ -0,0 +1,195 @@
+/**
+ * testMode.js - Test Generation and Grading
+ * Builds a fixed-length exam from a set and grades every answer in one go
+ */
+
+import {
+    generateUUID, resolveAnswerSide, getPromptText, getAnswerText, getAnswerLabel, getAcceptedAnswers,
+    TEST_QUESTION_TYPES
+} from './state.js';
+import { shuffleArray } from './render.js';
+import { gradeAgainstAccepted } from './grading.js';
+import { pickDistractors } from './distractors.js';
+
+// Default exam length when the set is large enough
+const DEFAULT_TEST_LENGTH = 20;
+
+// Matching blocks hold at most this many cards
+const MATCHING_GROUP_SIZE = 5;
+
+/**
+ * Suggested question counts for a set
+ * @param {number} cardCount - Cards in the set
+ * @returns {Object} { multipleChoice, trueFalse, written, matching }
+ */
+export function getDefaultTestCounts(cardCount) {
+    const total = Math.min(DEFAULT_TEST_LENGTH, cardCount);
+    const trueFalse = Math.floor(total * 0.2);
+    const written = Math.floor(total * 0.2);
+    let matching = Math.floor(total * 0.2);
+    if (matching < 2) matching = 0;
+
+    return {
+        [TEST_QUESTION_TYPES.MULTIPLE_CHOICE]: total - trueFalse - written - matching,
+        [TEST_QUESTION_TYPES.TRUE_FALSE]: trueFalse,
+        [TEST_QUESTION_TYPES.WRITTEN]: written,
+        [TEST_QUESTION_TYPES.MATCHING]: matching
+    };
+}
+
+/**
+ * Build a test from a set. Each card is asked at most once.
+ * @param {Object} set - Study set
+ * @param {Object} counts - Number of cards per question type
+ * @param {Object} options - { answerWith, timeLimitMinutes }
+ * @returns {Object} Test with its questions
+ */
+export function buildTest(set, counts, options = {}) {
+    const { answerWith, timeLimitMinutes = 0 } = options;
+    const pool = shuffleArray(set.cards);
+    const take = (count) => pool.splice(0, Math.max(0, count || 0));
+
+    const questions = [];
+
+    take(counts[TEST_QUESTION_TYPES.MULTIPLE_CHOICE]).forEach(card => {
+        const answerSide = resolveAnswerSide(answerWith);
+        const choices = shuffleArray([card, ...pickDistractors(set, card, answerSide, 3)]);
+        questions.push({
+            ...createQuestion(TEST_QUESTION_TYPES.MULTIPLE_CHOICE, card, answerSide),
+            options: choices.map(c => ({ cardId: c.uuid, text: getAnswerText(c, answerSide) }))
+        });
+    });
+
+    take(counts[TEST_QUESTION_TYPES.TRUE_FALSE]).forEach(card => {
+        const answerSide = resolveAnswerSide(answerWith);
+        const [distractor] = pickDistractors(set, card, answerSide, 1);
+        const isTrue = !distractor || Math.random() < 0.5;
+        questions.push({
+            ...createQuestion(TEST_QUESTION_TYPES.TRUE_FALSE, card, answerSide),
+            shownText: getAnswerText(isTrue ? card : distractor, answerSide),
+            isTrue
+        });
+    });
+
+    take(counts[TEST_QUESTION_TYPES.WRITTEN]).forEach(card => {
+        const answerSide = resolveAnswerSide(answerWith);
+        questions.push(createQuestion(TEST_QUESTION_TYPES.WRITTEN, card, answerSide));
+    });
+
+    // Matching cards are split into small blocks sharing one answer bank
+    const matchingCards = take(counts[TEST_QUESTION_TYPES.MATCHING]);
+    for (let i = 0; i < matchingCards.length; i += MATCHING_GROUP_SIZE) {
+        const group = matchingCards.slice(i, i + MATCHING_GROUP_SIZE);
+        const answerSide = resolveAnswerSide(answerWith);
+        questions.push({
+            id: generateUUID(),
+            type: TEST_QUESTION_TYPES.MATCHING,
+            answerSide,
+            items: group.map(card => ({
+                cardId: card.uuid,
+                prompt: getPromptText(card, answerSide),
+                expected: getAnswerText(card, answerSide)
+            })),
+            bank: shuffleArray(group).map((card, index) => ({
+                key: String.fromCharCode(65 + index), // A, B, C...
+                cardId: card.uuid,
+                text: getAnswerText(card, answerSide)
+            }))
+        });
+    }
+
+    return {
+        id: generateUUID(),
+        setId: set.uuid,
+        answerWith,
+        timeLimitMinutes,
+        createdAt: Date.now(),
+        questions
+    };
+}
+
+function createQuestion(type, card, answerSide) {
+    return {
+        id: generateUUID(),
+        type,
+        cardId: card.uuid,
+        answerSide,
+        answerLabel: getAnswerLabel(card, answerSide),
+        prompt: getPromptText(card, answerSide),
+        expected: getAnswerText(card, answerSide),
+        accepted: getAcceptedAnswers(card, answerSide)
+    };
+}
+
+/**
+ * Number of gradeable items in a test (each matching row counts once)
+ * @param {Object} test
+ * @returns {number}
+ */
+export function countTestItems(test) {
+    return test.questions.reduce((sum, q) =>
+        sum + (q.type === TEST_QUESTION_TYPES.MATCHING ? q.items.length : 1), 0);
+}
+
+/**
+ * Grade a completed test
+ * @param {Object} test - Test from buildTest
+ * @param {Object} answers - { [questionId]: answer } (matching: { [cardId]: chosenCardId })
+ * @returns {Object} { correct, total, percent, breakdown, missed }
+ */
+export function gradeTest(test, answers) {
+    const breakdown = {};
+    const missed = [];
+    let correct = 0;
+    let total = 0;
+
+    const mark = (type, isCorrect, miss) => {
+        breakdown[type] = breakdown[type] || { correct: 0, total: 0 };
+        breakdown[type].total++;
+        total++;
+
+        if (isCorrect) {
+            breakdown[type].correct++;
+            correct++;
+        } else {
+            missed.push({ type, ...miss });
+        }
+    };
+
+    test.questions.forEach(q => {
+        const answer = answers[q.id];
+
+        if (q.type === TEST_QUESTION_TYPES.MULTIPLE_CHOICE) {
+            const chosen = q.options.find(o => o.cardId === answer);
+            mark(q.type, answer === q.cardId, {
+                cardId: q.cardId, prompt: q.prompt, expected: q.expected, given: chosen?.text || ''
+            });
+        } else if (q.type === TEST_QUESTION_TYPES.TRUE_FALSE) {
+            const given = answer === undefined ? '' : (answer ? 'True' : 'False');
+            mark(q.type, answer === q.isTrue, {
+                cardId: q.cardId, prompt: q.prompt, expected: q.expected, given
+            });
+        } else if (q.type === TEST_QUESTION_TYPES.WRITTEN) {
+            const given = (answer || '').trim();
+            mark(q.type, !!given && gradeAgainstAccepted(given, q.accepted || [q.expected]).correct, {
+                cardId: q.cardId, prompt: q.prompt, expected: q.expected, given
+            });
+        } else if (q.type === TEST_QUESTION_TYPES.MATCHING) {
+            const chosen = answer || {};
+            q.items.forEach(item => {
+                const pick = q.bank.find(b => b.cardId === chosen[item.cardId]);
+                mark(q.type, chosen[item.cardId] === item.cardId, {
+                    cardId: item.cardId, prompt: item.prompt, expected: item.expected, given: pick?.text || ''
+                });
+            });
+        }
+    });
+
+    return {
+        correct,
+        total,
+        percent: total > 0 ? Math.round((correct / total) * 100) : 0,
+        breakdown,
+        missed
+    };
+}
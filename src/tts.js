@@ -3,8 +3,9 @@
  * Supports browser TTS (offline) and ElevenLabs premium voices
  */
 
-import { getTtsState, updateTtsState } from './state.js';
-import { getCachedAudio, setCachedAudio } from './storage.js';
+import { getTtsState, updateTtsState, getCardRecording } from './state.js';
+import { getCachedAudio, setCachedAudio, getRecording } from './storage.js';
+import { toPlainText } from './richText.js';
 
 let currentAudio = null;
 let isSpeaking = false;
@@ -29,6 +30,8 @@ function getCacheKey(text, voiceId) {
  * @param {Object} options - { onStart, onEnd, onError }
  */
 export async function speak(text, options = {}) {
+    // Formatting markers are not read aloud
+    text = toPlainText(text);
     if (!text) return;
 
     const { onStart, onEnd, onError } = options;
@@ -55,6 +58,24 @@ export async function speak(text, options = {}) {
     }
 }
 
+/**
+ * Play the recording attached to a card side, falling back to TTS of its text
+ * @param {Object} card
+ * @param {string} field - 'term' or 'definition'
+ * @param {string} text - Text to speak when there is no recording
+ * @param {Object} options - { onStart, onEnd, onError }
+ */
+export async function speakCardSide(card, field, text, options = {}) {
+    const recordingId = getCardRecording(card, field);
+    const blob = recordingId ? await getRecording(recordingId) : null;
+    if (!blob) return speak(text, options);
+
+    stop();
+    isSpeaking = true;
+    if (options.onStart) options.onStart();
+    playAudioBlob(blob, options);
+}
+
 /**
  * Stop current speech
  */
@@ -233,7 +254,8 @@ async function processPreCacheQueue() {
         return;
     }
 
-    const cacheKey = getCacheKey(card.term, ttsState.selectedVoiceId);
+    const text = toPlainText(card.term);
+    const cacheKey = getCacheKey(text, ttsState.selectedVoiceId);
 
     // Check if already cached
     const existing = await getCachedAudio(cacheKey);
@@ -248,7 +270,7 @@ async function processPreCacheQueue() {
                         'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
-                        text: card.term,
+                        text,
                         model_id: 'eleven_turbo_v2_5',
                         voice_settings: { stability: 0.5, similarity_boost: 0.75 }
                     })